@@ -30,4 +30,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['vite.config.js', 'mock-server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,175 @@
+// mock-server/mockApi.js
+// In-memory REST API for local development, mounted on the Vite dev and
+// preview servers under /api. Seeded from public/data on start-up and on
+// POST /api/_reset.
+//
+//   GET    /api/:collection        list records; with query parameters
+//                                  (page, pageSize, sort, filters, q; see
+//                                  src/services/query.js) one page of them,
+//                                  with the match count in X-Total-Count
+//   GET    /api/:collection/:id    one record
+//   POST   /api/:collection        create (server assigns the id); an array
+//                                  body creates every record or none
+//   PUT    /api/:collection/:id    replace
+//   DELETE /api/:collection/:id    delete
+//
+// Errors are JSON bodies of the form { error, details? }. Set
+// MOCK_API_ERROR_RATE (0..1) to make a share of requests fail with a 500, and
+// MOCK_API_LATENCY (ms) to delay every response. A single request can be
+// forced to fail by sending an `x-mock-status` header, e.g. `x-mock-status: 503`.
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { applyQuery, fromSearchParams } from "../src/services/query.js";
+import { SEARCH_FIELDS } from "../src/services/search.js";
+
+const COLLECTIONS = ["books", "authors", "stores", "inventory", "users"];
+
+const REQUIRED_FIELDS = {
+  books: ["name", "author_id"],
+  authors: ["first_name"],
+  stores: ["name"],
+  inventory: ["book_id", "store_id", "price"],
+  users: ["username"],
+};
+
+const loadSeed = (dataDir) =>
+  COLLECTIONS.reduce((db, collection) => {
+    db[collection] = JSON.parse(
+      readFileSync(resolve(dataDir, `${collection}.json`), "utf8")
+    );
+    return db;
+  }, {});
+
+const sendJson = (res, status, payload) => {
+  res.statusCode = status;
+  if (payload === undefined) {
+    res.end();
+    return;
+  }
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(payload));
+};
+
+const readBody = (req) =>
+  new Promise((resolveBody, rejectBody) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      try {
+        resolveBody(raw ? JSON.parse(raw) : {});
+      } catch {
+        rejectBody(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", rejectBody);
+  });
+
+const missingFields = (collection, record) =>
+  REQUIRED_FIELDS[collection].filter(
+    (field) => record[field] === undefined || record[field] === null || record[field] === ""
+  );
+
+const delay = (ms) => new Promise((done) => setTimeout(done, ms));
+
+export const createMockApi = ({ dataDir, errorRate = 0, latency = 0 }) => {
+  let db = loadSeed(dataDir);
+
+  return async (req, res) => {
+    if (latency > 0) await delay(latency);
+
+    const forcedStatus = Number(req.headers["x-mock-status"]);
+    if (forcedStatus >= 400) {
+      return sendJson(res, forcedStatus, { error: `Forced ${forcedStatus} response` });
+    }
+    if (errorRate > 0 && Math.random() < errorRate) {
+      return sendJson(res, 500, { error: "Simulated server failure" });
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const [collection, rawId] = url.pathname.split("/").filter(Boolean);
+
+    if (collection === "_reset" && req.method === "POST") {
+      db = loadSeed(dataDir);
+      return sendJson(res, 204);
+    }
+
+    if (!COLLECTIONS.includes(collection)) {
+      return sendJson(res, 404, { error: `Unknown collection "${collection}"` });
+    }
+
+    const records = db[collection];
+    const id = rawId === undefined ? null : Number(rawId);
+    const index = id === null ? -1 : records.findIndex((record) => record.id === id);
+
+    if (id !== null && index === -1) {
+      return sendJson(res, 404, { error: `No ${collection} record with id ${rawId}` });
+    }
+
+    let body = {};
+    if (req.method === "POST" || req.method === "PUT") {
+      try {
+        body = await readBody(req);
+      } catch (error) {
+        return sendJson(res, 400, { error: error.message });
+      }
+      const problems = (Array.isArray(body) ? body : [body])
+        .map((record, index) => ({ index, missing: missingFields(collection, record) }))
+        .filter((problem) => problem.missing.length > 0);
+      if (problems.length > 0) {
+        return sendJson(res, 422, {
+          error: `Missing required ${collection} fields: ${[
+            ...new Set(problems.flatMap((problem) => problem.missing)),
+          ].join(", ")}`,
+          details: Array.isArray(body) ? problems : problems[0].missing,
+        });
+      }
+    }
+
+    switch (`${req.method} ${id === null ? "list" : "item"}`) {
+      case "GET list": {
+        if ([...url.searchParams.keys()].length === 0) return sendJson(res, 200, records);
+        const { records: page, total } = applyQuery(
+          records,
+          fromSearchParams(url.searchParams),
+          SEARCH_FIELDS[collection]
+        );
+        res.setHeader("X-Total-Count", String(total));
+        return sendJson(res, 200, page);
+      }
+      case "GET item":
+        return sendJson(res, 200, records[index]);
+      case "POST list": {
+        const nextId = records.reduce((max, record) => Math.max(max, record.id), 0) + 1;
+        const created = (Array.isArray(body) ? body : [body]).map((fields, offset) => ({
+          ...fields,
+          id: nextId + offset,
+        }));
+        records.push(...created);
+        return sendJson(res, 201, Array.isArray(body) ? created : created[0]);
+      }
+      case "PUT item": {
+        const record = { ...body, id };
+        records[index] = record;
+        return sendJson(res, 200, record);
+      }
+      case "DELETE item":
+        records.splice(index, 1);
+        return sendJson(res, 204);
+      default:
+        return sendJson(res, 405, { error: `${req.method} not allowed here` });
+    }
+  };
+};
+
+export const mockApiPlugin = (options) => {
+  const mount = (server) => {
+    server.middlewares.use("/api", createMockApi(options));
+  };
+  return {
+    name: "mock-api",
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
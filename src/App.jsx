@@ -3,6 +3,7 @@ import { Suspense, lazy } from "react";
 import Layout from "./components/Layout";
 import Loading from "./pages/Loading";
 import { AuthProvider } from "./contexts/AuthProvider";
+import { LibraryProvider } from "./contexts/LibraryProvider";
 import ProtectedRoute from "./components/ProtectedRoute/ProtectedRoute";
 
 // Lazy load components for route-based code splitting
@@ -12,43 +13,51 @@ const Books = lazy(() => import("./pages/Books"));
 const Authors = lazy(() => import("./pages/Authors"));
 const NotFound = lazy(() => import("./pages/NotFound"));
 const StoreInventory = lazy(() => import("./pages/StoreInventory"));
+const BookDetail = lazy(() => import("./pages/BookDetail"));
+const AuthorProfile = lazy(() => import("./pages/AuthorProfile"));
 const BrowseBooks = lazy(() => import("./pages/BrowseBooks"));
 const BrowseAuthors = lazy(() => import("./pages/BrowseAuthors"));
 const BrowseStores = lazy(() => import("./pages/BrowseStores"));
 const Login = lazy(() => import("./pages/Login"));
+const DataIssues = lazy(() => import("./pages/DataIssues"));
 
 function App() {
   return (
-    <AuthProvider>
-      <Router>
-        <Suspense fallback={<Loading />}>
-          <Routes>
-            {/* Login Route - Redirect to home if already logged in */}
-            <Route
-              path="/login"
-              element={
-                <ProtectedRoute>
-                  <Login />
-                </ProtectedRoute>
-              }
-            />
+    <LibraryProvider>
+      <AuthProvider>
+        <Router>
+          <Suspense fallback={<Loading />}>
+            <Routes>
+              {/* Login Route - Redirect to home if already logged in */}
+              <Route
+                path="/login"
+                element={
+                  <ProtectedRoute>
+                    <Login />
+                  </ProtectedRoute>
+                }
+              />
 
-            {/* All Routes - Accessible to everyone (viewing), actions disabled for non-auth */}
-            <Route element={<Layout />}>
-              <Route path="/" element={<Home />} />
-              <Route path="/stores" element={<Stores />} />
-              <Route path="/books" element={<Books />} />
-              <Route path="/author" element={<Authors />} />
-              <Route path="/store/:storeId" element={<StoreInventory />} />
-              <Route path="/browsebooks" element={<BrowseBooks />} />
-              <Route path="/browseauthors" element={<BrowseAuthors />} />
-              <Route path="/browsestores" element={<BrowseStores />} />
-              <Route path="*" element={<NotFound />} />
-            </Route>
-          </Routes>
-        </Suspense>
-      </Router>
-    </AuthProvider>
+              {/* All Routes - Accessible to everyone (viewing), actions disabled for non-auth */}
+              <Route element={<Layout />}>
+                <Route path="/" element={<Home />} />
+                <Route path="/stores" element={<Stores />} />
+                <Route path="/books" element={<Books />} />
+                <Route path="/author" element={<Authors />} />
+                <Route path="/author/:authorId" element={<AuthorProfile />} />
+                <Route path="/store/:storeId" element={<StoreInventory />} />
+                <Route path="/book/:bookId" element={<BookDetail />} />
+                <Route path="/browsebooks" element={<BrowseBooks />} />
+                <Route path="/browseauthors" element={<BrowseAuthors />} />
+                <Route path="/browsestores" element={<BrowseStores />} />
+                <Route path="/data-issues" element={<DataIssues />} />
+                <Route path="*" element={<NotFound />} />
+              </Route>
+            </Routes>
+          </Suspense>
+        </Router>
+      </AuthProvider>
+    </LibraryProvider>
   );
 }
 
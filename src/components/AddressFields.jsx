@@ -0,0 +1,116 @@
+// Store address form fields with a paste box: a pasted address is parsed (see
+// services/address.js) and its interpretation shown, to apply or discard
+import React, { useState } from "react";
+import { US_STATES, parseAddress } from "../services/address";
+
+const inputClass = "border border-gray-300 rounded p-2 w-full";
+const labelClass = "block text-gray-700 font-medium mb-1";
+
+const FIELD_LABELS = {
+  address_1: "Address line 1",
+  address_2: "Address line 2",
+  city: "City",
+  state: "State",
+  zip: "ZIP code",
+};
+
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-sm text-red-500">{message}</p> : null;
+
+const AddressFields = ({ value, onChange, errors = {}, idPrefix = "address" }) => {
+  const [pasted, setPasted] = useState("");
+  const parsed = pasted.trim() ? parseAddress(pasted) : null;
+
+  const setField = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const applyParsed = () => {
+    onChange({ ...value, ...parsed });
+    setPasted("");
+  };
+
+  const textField = (field, placeholder) => (
+    <div>
+      <label htmlFor={`${idPrefix}_${field}`} className={labelClass}>
+        {FIELD_LABELS[field]}
+      </label>
+      <input
+        id={`${idPrefix}_${field}`}
+        type="text"
+        value={value[field] ?? ""}
+        onChange={(e) => setField(field, e.target.value)}
+        className={`${inputClass} ${errors[field] ? "border-red-500" : ""}`}
+        placeholder={placeholder}
+        aria-invalid={Boolean(errors[field])}
+      />
+      <FieldError message={errors[field]} />
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col gap-4 w-full">
+      <div>
+        <label htmlFor={`${idPrefix}_paste`} className={labelClass}>
+          Paste an address <span className="font-light text-gray-500">(optional)</span>
+        </label>
+        <textarea
+          id={`${idPrefix}_paste`}
+          rows={2}
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          className={inputClass}
+          placeholder="e.g., 43 Sycamore Place, 2nd Floor, Athens, GA 30605"
+        />
+        {parsed && (
+          <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded text-sm">
+            <p className="text-gray-700 mb-1">Read as:</p>
+            <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-0.5">
+              {Object.keys(FIELD_LABELS).map((field) => (
+                <React.Fragment key={field}>
+                  <dt className="text-gray-500">{FIELD_LABELS[field]}</dt>
+                  <dd className={parsed[field] ? "text-gray-800" : "text-gray-400 italic"}>
+                    {parsed[field] || (field === "address_2" ? "none" : "not found")}
+                  </dd>
+                </React.Fragment>
+              ))}
+            </dl>
+            <div className="flex justify-end gap-2 mt-2">
+              <button onClick={() => setPasted("")} className="text-main px-2 py-1">
+                Discard
+              </button>
+              <button onClick={applyParsed} className="bg-main text-white px-2 py-1 rounded">
+                Fill in fields
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+      {textField("address_1", "Street and number")}
+      {textField("address_2", "Suite, floor or PO box (optional)")}
+      <div className="grid grid-cols-[2fr_1fr_1fr] gap-2">
+        {textField("city", "City")}
+        <div>
+          <label htmlFor={`${idPrefix}_state`} className={labelClass}>
+            {FIELD_LABELS.state}
+          </label>
+          <select
+            id={`${idPrefix}_state`}
+            value={value.state ?? ""}
+            onChange={(e) => setField("state", e.target.value)}
+            className={`${inputClass} ${errors.state ? "border-red-500" : ""}`}
+            aria-invalid={Boolean(errors.state)}
+          >
+            <option value="">--</option>
+            {US_STATES.map((state) => (
+              <option key={state.code} value={state.code} title={state.name}>
+                {state.code}
+              </option>
+            ))}
+          </select>
+          <FieldError message={errors.state} />
+        </div>
+        {textField("zip", "12345")}
+      </div>
+    </div>
+  );
+};
+
+export default AddressFields;
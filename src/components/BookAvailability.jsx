@@ -0,0 +1,45 @@
+// Stores carrying a book and their prices, shown in an expanded books table row
+import React from "react";
+import { Link } from "react-router-dom";
+
+const BookAvailability = ({ stores = [] }) => {
+  if (stores.length === 0) {
+    return <p className="text-sm text-gray-500">Not stocked in any store.</p>;
+  }
+
+  const prices = stores.map((store) => store.price);
+
+  return (
+    <div className="text-sm">
+      <p className="text-gray-600 mb-2">
+        In {stores.length} {stores.length === 1 ? "store" : "stores"}, from $
+        {Math.min(...prices).toFixed(2)}
+        {stores.length > 1 && ` to $${Math.max(...prices).toFixed(2)}`}
+      </p>
+      <table className="border-collapse border border-gray-200 bg-white min-w-80">
+        <thead>
+          <tr className="bg-gray-100 text-left text-gray-700">
+            <th className="border border-gray-200 px-2 py-1 font-medium">Store</th>
+            <th className="border border-gray-200 px-2 py-1 font-medium">Price</th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...stores]
+            .sort((a, b) => a.price - b.price)
+            .map((store, index) => (
+              <tr key={index}>
+                <td className="border border-gray-200 px-2 py-1">
+                  <Link to={`/store/${store.id}`} className="text-main hover:underline">
+                    {store.name}
+                  </Link>
+                </td>
+                <td className="border border-gray-200 px-2 py-1">${store.price.toFixed(2)}</td>
+              </tr>
+            ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BookAvailability;
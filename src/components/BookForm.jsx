@@ -0,0 +1,156 @@
+// Fields of a book for the create and edit modals; values are the strings of
+// services/books.js EMPTY_BOOK_FORM. Language suggests the catalog's languages
+// but takes any; format picks one of the catalog's formats.
+import React from "react";
+import { isValidIsbn10, isValidIsbn13, isbnDigits, isbnError, toIsbn10, toIsbn13 } from "../services/isbn";
+
+const inputClass = "border border-gray-300 rounded p-2 w-full";
+const labelClass = "block text-gray-700 font-medium mb-1";
+
+const FieldError = ({ message }) =>
+  message ? <p className="mt-1 text-sm text-red-500">{message}</p> : null;
+
+// What the typed ISBN is, and the conversion it offers
+const describeIsbn = (isbn) => {
+  if (isValidIsbn10(isbn)) return { label: "Valid ISBN-10", convertTo: "ISBN-13", converted: toIsbn13(isbn) };
+  if (isValidIsbn13(isbn)) return { label: "Valid ISBN-13", convertTo: "ISBN-10", converted: toIsbn10(isbn) };
+  return null;
+};
+
+const BookForm = ({ value, onChange, errors = {}, authors, languages = [], formats = [], idPrefix = "book" }) => {
+  const setField = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const id = (field) => `${idPrefix}_${field}`;
+  const className = (field) => `${inputClass} ${errors[field] ? "border-red-500" : ""}`;
+
+  const isbn = describeIsbn(value.isbn);
+  // Hint once enough digits are typed to tell; saving reports the rest
+  const isbnHint =
+    !errors.isbn && isbnDigits(value.isbn).length >= 10 && !isbn && `isbn ${isbnError(value.isbn)}`;
+
+  return (
+    <div className="flex flex-col gap-4 w-full">
+      <div>
+        <label htmlFor={id("name")} className={labelClass}>
+          Book Name
+        </label>
+        <input
+          id={id("name")}
+          type="text"
+          value={value.name}
+          onChange={(e) => setField("name", e.target.value)}
+          className={className("name")}
+          placeholder="Enter Book Name"
+        />
+        <FieldError message={errors.name} />
+      </div>
+      <div>
+        <label htmlFor={id("author_id")} className={labelClass}>
+          Author
+        </label>
+        <select
+          id={id("author_id")}
+          value={value.author_id}
+          onChange={(e) => setField("author_id", e.target.value)}
+          className={className("author_id")}
+        >
+          <option value="" disabled>
+            Select an Author
+          </option>
+          {authors.map((author) => (
+            <option key={author.id} value={author.id}>
+              {author.first_name} {author.last_name}
+            </option>
+          ))}
+        </select>
+        <FieldError message={errors.author_id} />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label htmlFor={id("page_count")} className={labelClass}>
+            Number of Pages
+          </label>
+          <input
+            id={id("page_count")}
+            type="number"
+            min="1"
+            value={value.page_count}
+            onChange={(e) => setField("page_count", e.target.value)}
+            className={className("page_count")}
+            placeholder="Enter Page Count"
+          />
+          <FieldError message={errors.page_count} />
+        </div>
+        <div>
+          <label htmlFor={id("format")} className={labelClass}>
+            Format
+          </label>
+          <select
+            id={id("format")}
+            value={value.format}
+            onChange={(e) => setField("format", e.target.value)}
+            className={className("format")}
+          >
+            <option value="">Not set</option>
+            {/* Keep a value that is not in the catalog list selectable */}
+            {[...new Set([...formats, value.format].filter(Boolean))].map((format) => (
+              <option key={format} value={format}>
+                {format}
+              </option>
+            ))}
+          </select>
+          <FieldError message={errors.format} />
+        </div>
+      </div>
+      <div>
+        <label htmlFor={id("isbn")} className={labelClass}>
+          ISBN
+        </label>
+        <input
+          id={id("isbn")}
+          type="text"
+          value={value.isbn}
+          onChange={(e) => setField("isbn", e.target.value)}
+          className={className("isbn")}
+          placeholder="ISBN-10 or ISBN-13, e.g. 247489521-3"
+        />
+        <FieldError message={errors.isbn || isbnHint} />
+        {isbn && (
+          <p className="mt-1 text-sm text-gray-500">
+            {isbn.label}
+            {isbn.converted && (
+              <>
+                {" "}
+                ({isbn.convertTo} {isbn.converted}){" "}
+                <button onClick={() => setField("isbn", isbn.converted)} className="text-main hover:underline">
+                  Use {isbn.convertTo}
+                </button>
+              </>
+            )}
+          </p>
+        )}
+      </div>
+      <div>
+        <label htmlFor={id("language")} className={labelClass}>
+          Language
+        </label>
+        <input
+          id={id("language")}
+          type="text"
+          list={id("languages")}
+          value={value.language}
+          onChange={(e) => setField("language", e.target.value)}
+          className={className("language")}
+          placeholder="Pick or type a language"
+        />
+        <datalist id={id("languages")}>
+          {languages.map((language) => (
+            <option key={language} value={language} />
+          ))}
+        </datalist>
+        <FieldError message={errors.language} />
+      </div>
+    </div>
+  );
+};
+
+export default BookForm;
@@ -1,20 +1,35 @@
 // src/components/BooksTable.jsx
-import React, { useMemo, useCallback } from "react";
+import React, { useCallback, useMemo } from "react";
+import { useNavigate } from "react-router-dom";
 import Table from "./Table/Table";
 import TableActions from "./ActionButton/TableActions";
+import BookAvailability from "./BookAvailability";
+import useLibrary from "../hooks/useLibrary";
+import { bookErrors, catalogValues } from "../services/books";
+import { normalizeIsbn } from "../services/isbn";
+
+// Columns shown by default, in order; the rest can be turned on from the column chooser
+const DEFAULT_COLUMNS = ["id", "name", "pages", "author", "language", "format", "actions"];
+
+// Catalogs larger than this scroll in a virtualized table; smaller ones paginate
+// and keep their page in the URL
+const VIRTUALIZE_ABOVE = 2000;
 
 const BooksTable = ({
   books,
   authors,
-  editingRowId,
-  setEditingRowId,
-  editName,
-  setEditName,
-  setBooks,
+  booksWithStores = [],
+  updateBook,
   deleteBook,
+  bulkActions,
   isAuthenticated = true,
-  columnsConfig = ["id", "name", "pages", "author", "actions"], // Default columns
+  columnsConfig = DEFAULT_COLUMNS,
 }) => {
+  const navigate = useNavigate();
+  // The whole catalog, for the pickers and the duplicate ISBN check (`books`
+  // may be filtered)
+  const { books: catalog } = useLibrary();
+
   // Create a lookup map for authors
   const authorMap = useMemo(() => {
     return authors.reduce((map, author) => {
@@ -31,73 +46,89 @@ const BooksTable = ({
     }));
   }, [books, authorMap]);
 
-  const handleEdit = useCallback(
-    (book) => {
-      setEditingRowId(book.id);
-      setEditName(book.name);
-    },
-    [setEditingRowId, setEditName]
+  // Expanded rows list the stores carrying the book
+  const storesByBook = useMemo(
+    () => new Map(booksWithStores.map((book) => [book.id, book.stores])),
+    [booksWithStores]
+  );
+  const renderAvailability = useCallback(
+    (book) => <BookAvailability stores={storesByBook.get(book.id)} />,
+    [storesByBook]
   );
 
-  const handleSave = useCallback(
-    (id) => {
-      setBooks(
-        books.map((book) =>
-          book.id === id ? { ...book, name: editName } : book
-        )
-      );
-      setEditingRowId(null);
-      setEditName("");
-    },
-    [books, editName, setBooks, setEditingRowId, setEditName]
+  const authorOptions = useMemo(
+    () =>
+      authors.map((author) => ({
+        value: author.id,
+        label: `${author.first_name} ${author.last_name}`,
+      })),
+    [authors]
   );
 
-  // Cancel editing
-  const handleCancel = useCallback(() => {
-    setEditingRowId(null);
-    setEditName("");
-  }, [setEditingRowId, setEditName]);
+  const languageOptions = useMemo(
+    () => catalogValues(catalog, "language").map((language) => ({ value: language, label: language })),
+    [catalog]
+  );
+  const formatOptions = useMemo(
+    () => catalogValues(catalog, "format").map((format) => ({ value: format, label: format })),
+    [catalog]
+  );
 
   // Build columns based on authentication
   const columns = useMemo(() => {
     const baseColumns = [
-      { header: "Book Id", accessorKey: "id" },
+      { header: "Book Id", id: "id", accessorKey: "id" },
       {
         header: "Name",
+        id: "name",
         accessorKey: "name",
-        cell: ({ row }) =>
-          editingRowId === row.original.id ? (
-            <input
-              type="text"
-              value={editName}
-              onChange={(e) => setEditName(e.target.value)}
-              onKeyDown={(e) => {
-                if (e.key === "Enter") handleSave(row.original.id);
-                if (e.key === "Escape") handleCancel();
-              }}
-              className="border border-gray-300 rounded p-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-              autoFocus
-            />
-          ) : (
-            row.original.name
-          ),
+        meta: { filterVariant: "text", editor: "text" },
+      },
+      {
+        header: "Pages",
+        id: "pages",
+        accessorKey: "page_count",
+        meta: { filterVariant: "range", editor: "number" },
+      },
+      {
+        header: "Author",
+        id: "author",
+        accessorKey: "author_name",
+        meta: {
+          filterVariant: "select",
+          editor: "select",
+          editField: "author_id",
+          editOptions: authorOptions,
+        },
+      },
+      {
+        header: "Language",
+        id: "language",
+        accessorKey: "language",
+        meta: { filterVariant: "select", editor: "select", editOptions: languageOptions },
+      },
+      {
+        header: "Format",
+        id: "format",
+        accessorKey: "format",
+        meta: { filterVariant: "select", editor: "select", editOptions: formatOptions },
+      },
+      {
+        header: "ISBN",
+        id: "isbn",
+        accessorKey: "isbn",
+        meta: { filterVariant: "text", editor: "text" },
       },
-      { header: "Pages", accessorKey: "page_count" },
-      { header: "Author", accessorKey: "author_name" },
     ];
 
     if (isAuthenticated) {
       baseColumns.push({
         header: "Actions",
         id: "actions",
-        cell: ({ row }) => (
+        cell: ({ row, table }) => (
           <TableActions
             row={row}
-            onEdit={
-              editingRowId === row.original.id
-                ? handleCancel
-                : () => handleEdit(row.original)
-            }
+            onEdit={() => table.options.meta.startEditing(row.original)}
             onDelete={() => deleteBook(row.original.id, row.original.name)}
           />
         ),
@@ -105,18 +136,38 @@ const BooksTable = ({
     }
 
     return baseColumns;
-  }, [
-    editingRowId,
-    editName,
-    isAuthenticated,
-    deleteBook,
-    handleCancel,
-    handleEdit,
-    handleSave,
-    setEditName,
-  ]);
+  }, [isAuthenticated, deleteBook, authorOptions, languageOptions, formatOptions]);
 
-  return <Table data={enrichedBooks} columns={columns} />;
+  const defaultLayout = useMemo(() => {
+    const ids = columns.map((column) => column.id);
+    return {
+      columnOrder: [
+        ...columnsConfig.filter((id) => ids.includes(id)),
+        ...ids.filter((id) => !columnsConfig.includes(id)),
+      ],
+      columnVisibility: Object.fromEntries(
+        ids.filter((id) => !columnsConfig.includes(id)).map((id) => [id, false])
+      ),
+    };
+  }, [columns, columnsConfig]);
+
+  return (
+    <Table
+      data={enrichedBooks}
+      columns={columns}
+      exportName="books"
+      bulkActions={bulkActions}
+      tableId="books"
+      virtualized={enrichedBooks.length > VIRTUALIZE_ABOVE}
+      defaultLayout={defaultLayout}
+      onRowSave={(book, changes) =>
+        updateBook(book.id, changes.isbn ? { ...changes, isbn: normalizeIsbn(changes.isbn) } : changes)
+      }
+      validateRow={(book) => bookErrors(book, catalog)}
+      renderSubRow={renderAvailability}
+      onRowClick={(e, book) => navigate(`/book/${book.id}`)}
+    />
+  );
 };
 
 export default BooksTable;
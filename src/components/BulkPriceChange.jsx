@@ -0,0 +1,120 @@
+// Change the price of several inventory rows at once: set a price, or move it
+// by an amount or a percentage, with a preview of every new price
+import React, { useState } from "react";
+import Modal from "./Modal";
+import useLibraryData from "../hooks/useLibraryData";
+
+const PREVIEW_LIMIT = 8;
+
+const PRICE_CHANGES = [
+  { id: "set", label: "Set price to ($)", apply: (price, value) => value },
+  { id: "increase", label: "Increase by amount ($)", apply: (price, value) => price + value },
+  { id: "decrease", label: "Decrease by amount ($)", apply: (price, value) => price - value },
+  {
+    id: "increasePercent",
+    label: "Increase by percent (%)",
+    apply: (price, value) => price * (1 + value / 100),
+  },
+  {
+    id: "decreasePercent",
+    label: "Decrease by percent (%)",
+    apply: (price, value) => price * (1 - value / 100),
+  },
+];
+
+const roundPrice = (price) => Math.round(price * 100) / 100;
+
+// items: inventory records, each with the book `name` for the preview
+const BulkPriceChange = ({ show, items, onClose }) => {
+  const { repositories } = useLibraryData();
+  const [mode, setMode] = useState("set");
+  const [amount, setAmount] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const change = PRICE_CHANGES.find((option) => option.id === mode);
+  const value = parseFloat(amount);
+  // A negative amount would turn an increase into a decrease and back
+  const invalidAmount = amount !== "" && !(value > 0);
+  const preview =
+    show && Number.isFinite(value) && !invalidAmount
+      ? items.map((item) => ({
+          ...item,
+          newPrice: roundPrice(change.apply(item.price, value)),
+        }))
+      : [];
+  const hasNegative = preview.some((item) => item.newPrice < 0);
+
+  const close = (saved) => {
+    setMode("set");
+    setAmount("");
+    onClose(saved);
+  };
+
+  const confirm = async () => {
+    if (preview.length === 0 || hasNegative) return;
+    setSaving(true);
+    const saved = await repositories.inventory.updateMany(
+      preview.map((item) => ({ id: item.id, changes: { price: item.newPrice } }))
+    );
+    setSaving(false);
+    if (saved) close(saved);
+  };
+
+  return (
+    <Modal
+      title={`Change price of ${items.length} book${items.length === 1 ? "" : "s"}`}
+      save={confirm}
+      cancel={() => close(null)}
+      show={show}
+      saveLabel={saving ? "Saving..." : "Apply"}
+      saveDisabled={saving || preview.length === 0 || hasNegative}
+    >
+      <div className="flex flex-col gap-4 w-full">
+        <div className="flex gap-2">
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="border border-gray-300 rounded p-2 w-1/2"
+          >
+            {PRICE_CHANGES.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className={`border border-gray-300 rounded p-2 w-1/2 ${invalidAmount ? "border-red-500" : ""}`}
+            placeholder={mode.endsWith("Percent") ? "e.g., 10" : "e.g., 29.99"}
+            autoFocus
+          />
+        </div>
+
+        {invalidAmount && (
+          <p className="text-sm text-red-600">Enter an amount greater than 0.</p>
+        )}
+        {preview.length > 0 && (
+          <ul className="text-sm text-gray-600 list-disc ps-5">
+            {preview.slice(0, PREVIEW_LIMIT).map((item) => (
+              <li key={item.id} className={item.newPrice < 0 ? "text-red-600" : ""}>
+                {item.name}: ${item.price} → ${item.newPrice}
+              </li>
+            ))}
+            {preview.length > PREVIEW_LIMIT && (
+              <li>and {preview.length - PREVIEW_LIMIT} more</li>
+            )}
+          </ul>
+        )}
+        {hasNegative && (
+          <p className="text-sm text-red-600">Prices can&apos;t go below $0.</p>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default BulkPriceChange;
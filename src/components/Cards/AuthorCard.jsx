@@ -1,30 +1,38 @@
 import React from "react";
+import { useNavigate } from "react-router-dom";
 import authorImg1 from "../../assets/a1.png";
 import authorImg2 from "../../assets/a2.png";
+import { hashString } from "../../utils/hash";
+import Highlight from "../Highlight";
 
 
 const AuthorCard = ({ 
+    id,
     name,
     noOfBooks,
    }) => {
-    // use random image for author
-    const ref = React.useRef(
-        Math.floor(Math.random() * 2) === 0 ? authorImg1 : authorImg2
-    );
+    // pick the author image from the name, so it stays the same across renders
+    const image = hashString(name) % 2 === 0 ? authorImg1 : authorImg2;
+    const navigate = useNavigate();
      return (
        <div className="bg-white shadow-md rounded-lg p-4 h-[214px] w-112 flex gap-2 ">
          <div className=" grid items-center h-full w-32 " 
         >
-           <img src={ref.current} alt={name} className="text-center font-light h-full w-full text-gray-800 text-wrap" />
+           <img src={image} alt={name} className="text-center font-light h-full w-full text-gray-800 text-wrap" />
          </div>
          <div className="flex flex-col  px-3 w-full h-full flex-1">
             <div className="flex-1">
-             <p className=" text-wrap">{name}</p>
+             <p className=" text-wrap"><Highlight text={name} /></p>
              <p className="text-sm text-main">Books published: {noOfBooks}</p>
              </div>
  
              <div className="flex  justify-end items-end">
-                <button className="bg-main font-light text-white px-2 py-1 rounded">View Profile</button>
+                <button
+                  className="bg-main font-light text-white px-2 py-1 rounded"
+                  onClick={() => navigate(`/author/${id}`)}
+                >
+                  View Profile
+                </button>
             </div>
                  
          </div>
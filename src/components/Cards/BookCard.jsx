@@ -1,31 +1,33 @@
 // src/components/BookCard.jsx
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { FaShoppingCart } from 'react-icons/fa'; // For the cart icon
+import { hashString } from '../../utils/hash';
+import Highlight from '../Highlight';
 
-const randomColorGenerator = ()=>{
-  // Function to generate a random color
-  const letters = '0123456789ABCDEF';
-  let color = '#';
-  for (let i = 0; i < 6; i++) {
-    color += letters[Math.floor(Math.random() * 16)];
-  }
-  return color+"20";
-}
-const BookCard = ({ title, author, stores }) => {
+// Cover tint derived from the title, so a card keeps its color when re-rendered
+const coverColor = (title) =>
+  `#${(hashString(title) & 0xffffff).toString(16).padStart(6, '0')}20`;
+
+const BookCard = ({ id, title, author, stores }) => {
   return (
     <div className="bg-white shadow-md rounded-lg p-4 flex gap-4 w-full max-w-md">
       {/* Book Cover */}
       <div
         className="flex items-center justify-center h-48 w-28 bg-peach-100 rounded-lg"
-        style={{ backgroundColor:randomColorGenerator()  }} // Light peach background
+        style={{ backgroundColor: coverColor(title) }} // Light peach background
       >
         <p className="text-center text-black font-medium text-lg px-2">{title}</p>
       </div>
 
       {/* Book Details */}
       <div className="flex-1">
-        <p className="text-lg font-bold text-gray-800">{title}</p>
-        <p className="text-sm text-gray-500 mb-2">by {author}</p>
+        <Link to={`/book/${id}`} className="text-lg font-bold text-gray-800 hover:text-main hover:underline">
+          <Highlight text={title} />
+        </Link>
+        <p className="text-sm text-gray-500 mb-2">
+          by <Highlight text={author} />
+        </p>
         <span className="text-sm text-gray-500">Stores:</span>
 
         <div className="flex gap-2 mt-2">
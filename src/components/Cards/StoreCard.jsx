@@ -1,5 +1,6 @@
 // src/components/StoreCard.jsx
 import { Navigate, useNavigate } from "react-router-dom";
+import Highlight from "../Highlight";
 const StoreCard = ({ name, noOfBooks, averagePrice, id }) => {
     
     const navigate = useNavigate();
@@ -16,7 +17,9 @@ const StoreCard = ({ name, noOfBooks, averagePrice, id }) => {
       {/* Store Details */}
       <div className="flex flex-col px-3 w-full h-full flex-1">
         <div className="flex-1">
-          <p className="text-wrap text-lg font-bold text-gray-800">{name}</p>
+          <p className="text-wrap text-lg font-bold text-gray-800">
+            <Highlight text={name} />
+          </p>
           <p className="text-sm text-main">Books in stock: {noOfBooks}</p>
           <p className="text-sm text-main">
             Average Price: ${averagePrice.toFixed(2)}
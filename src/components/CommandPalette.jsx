@@ -0,0 +1,238 @@
+// Ctrl/Cmd+K palette: searches books, authors, stores and actions at once and
+// jumps to the result. Add actions open the form on the target page through
+// navigation state (see hooks/usePaletteCommand.js).
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthProvider";
+import HighlightContext from "../contexts/HighlightContext";
+import useLibraryData from "../hooks/useLibraryData";
+import { SEARCH_FIELDS, createSearchIndex } from "../services/search";
+import Highlight from "./Highlight";
+
+// Results listed per group
+const GROUP_LIMIT = 5;
+
+const IS_MAC = typeof navigator !== "undefined" && /mac/i.test(navigator.platform);
+const SHORTCUT = IS_MAC ? "⌘K" : "Ctrl+K";
+
+// Actions available to everyone, then to signed-in users and guests only
+const PAGE_ACTIONS = [
+  { label: "Go to Shop", to: "/" },
+  { label: "Go to Stores", to: "/stores" },
+  { label: "Go to Books", to: "/books" },
+  { label: "Go to Authors", to: "/author" },
+  { label: "Browse books", to: "/browsebooks" },
+  { label: "Browse authors", to: "/browseauthors" },
+  { label: "Browse stores", to: "/browsestores" },
+];
+const MEMBER_ACTIONS = [
+  { label: "Add book", to: "/books", command: "add" },
+  { label: "Add author", to: "/author", command: "add" },
+  { label: "Add store", to: "/stores", command: "add" },
+  { label: "Sign out", signOut: true },
+];
+const GUEST_ACTIONS = [{ label: "Sign in", to: "/login" }];
+
+const actionFields = { label: { type: "text", get: (action) => action.label, default: true } };
+
+const PaletteDialog = ({ onClose }) => {
+  const navigate = useNavigate();
+  const { isAuthenticated, logout } = useAuth();
+  const { books, authors, stores, authorMap } = useLibraryData({
+    requires: ["books", "authors", "stores"],
+  });
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  // One index per group, rebuilt only when its records change
+  const searches = useMemo(() => {
+    const actions = [...PAGE_ACTIONS, ...(isAuthenticated ? MEMBER_ACTIONS : GUEST_ACTIONS)];
+    return [
+      {
+        title: "Actions",
+        search: createSearchIndex(actions, actionFields),
+        toItem: (action) => ({ key: action.label, label: action.label, run: action }),
+      },
+      {
+        title: "Books",
+        search: createSearchIndex(books, SEARCH_FIELDS.books, (book) => ({
+          ...book,
+          author_name: authorMap[book.author_id]?.name,
+        })),
+        toItem: (book) => ({
+          key: `book-${book.id}`,
+          label: book.name,
+          detail: authorMap[book.author_id]?.name,
+          run: { to: `/book/${book.id}` },
+        }),
+      },
+      {
+        title: "Authors",
+        search: createSearchIndex(authors, SEARCH_FIELDS.authors),
+        toItem: (author) => {
+          const name = `${author.first_name} ${author.last_name}`;
+          return {
+            key: `author-${author.id}`,
+            label: name,
+            detail: author.email,
+            run: { to: `/author/${author.id}` },
+          };
+        },
+      },
+      {
+        title: "Stores",
+        search: createSearchIndex(stores, SEARCH_FIELDS.stores),
+        toItem: (store) => ({
+          key: `store-${store.id}`,
+          label: store.name,
+          detail: [store.city, store.state].filter(Boolean).join(", "),
+          run: { to: `/store/${store.id}` },
+        }),
+      },
+    ];
+  }, [books, authors, stores, authorMap, isAuthenticated]);
+
+  // Without a query only the actions are listed
+  const { groups, fragments } = useMemo(() => {
+    const matched = new Set();
+    const result = searches
+      .filter((group) => query.trim() || group.title === "Actions")
+      .map((group) => {
+        const { records, fragments: found } = group.search(query);
+        found.forEach((fragment) => matched.add(fragment));
+        const limit = query.trim() ? GROUP_LIMIT : records.length;
+        return { title: group.title, items: records.slice(0, limit).map(group.toItem) };
+      })
+      .filter((group) => group.items.length > 0);
+    return { groups: result, fragments: [...matched] };
+  }, [searches, query]);
+
+  const items = groups.flatMap((group) => group.items);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  // Keep the active item visible while moving with the arrow keys
+  useEffect(() => {
+    listRef.current
+      ?.querySelector(`[data-index="${activeIndex}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [activeIndex]);
+
+  const runItem = (item) => {
+    if (!item) return;
+    onClose();
+    const { to, command, signOut } = item.run;
+    if (signOut) {
+      logout();
+      navigate("/");
+    } else {
+      navigate(to, command ? { state: { command } } : undefined);
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex((index) => (index + step + items.length) % Math.max(items.length, 1));
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      runItem(items[activeIndex]);
+    } else if (e.key === "Escape") {
+      onClose();
+    }
+  };
+
+  let index = -1;
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-start justify-center bg-black/30 pt-[15vh]"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        role="dialog"
+        aria-label="Command palette"
+        className="bg-white rounded-xl shadow-lg w-xl overflow-hidden"
+      >
+        <input
+          autoFocus
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={onKeyDown}
+          placeholder="Search books, authors, stores or actions..."
+          className="w-full px-4 py-3 border-b border-gray-200 outline-none"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="command-palette-results"
+          aria-activedescendant={items.length > 0 ? `command-palette-${activeIndex}` : undefined}
+        />
+        <HighlightContext.Provider value={fragments}>
+          <div ref={listRef} id="command-palette-results" role="listbox" className="max-h-96 overflow-auto py-2">
+            {groups.length === 0 && <p className="px-4 py-2 text-sm text-gray-500">No results.</p>}
+            {groups.map((group) => (
+              <div key={group.title} role="group" aria-label={group.title}>
+                <p className="px-4 pt-2 pb-1 text-xs font-medium uppercase text-gray-400">{group.title}</p>
+                {group.items.map((item) => {
+                  index += 1;
+                  const itemIndex = index;
+                  return (
+                    <div
+                      key={item.key}
+                      id={`command-palette-${itemIndex}`}
+                      data-index={itemIndex}
+                      role="option"
+                      aria-selected={itemIndex === activeIndex}
+                      onMouseMove={() => setActiveIndex(itemIndex)}
+                      onClick={() => runItem(item)}
+                      className={`flex justify-between gap-4 px-4 py-1.5 cursor-pointer ${
+                        itemIndex === activeIndex ? "bg-main text-white" : "text-gray-700"
+                      }`}
+                    >
+                      <span className="truncate">
+                        <Highlight text={item.label} />
+                      </span>
+                      {item.detail && (
+                        <span
+                          className={`truncate text-sm ${itemIndex === activeIndex ? "text-white/80" : "text-gray-400"}`}
+                        >
+                          <Highlight text={item.detail} />
+                        </span>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </HighlightContext.Provider>
+        <p className="px-4 py-2 border-t border-gray-200 text-xs text-gray-400">
+          ↑↓ to move, Enter to open, Esc to close, {SHORTCUT} to toggle
+        </p>
+      </div>
+    </div>
+  );
+};
+
+const CommandPalette = () => {
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        setOpen((value) => !value);
+      }
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // Mounted only while open, so the query starts empty every time
+  return open ? <PaletteDialog onClose={() => setOpen(false)} /> : null;
+};
+
+export default CommandPalette;
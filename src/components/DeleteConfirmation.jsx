@@ -0,0 +1,152 @@
+// Delete confirmation that lists every dependent record the integrity rules
+// will block, cascade-delete or reassign before anything is removed. Takes a
+// single `record`, or `records` for a bulk delete.
+import React, { useState } from "react";
+import Modal from "./Modal";
+import useLibraryData from "../hooks/useLibraryData";
+
+const PREVIEW_LIMIT = 8;
+
+const ACTION_TEXT = {
+  blocked: "Blocks the delete",
+  cascade: "Will also be deleted",
+  reassign: "Will be moved to another",
+};
+
+const DeleteConfirmation = ({ show, collection, record, records, label, onClose }) => {
+  const { repositories, authorMap, storeMap, indexes, books, authors, stores } =
+    useLibraryData();
+  const [reassignTo, setReassignTo] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const parents = { authors, stores, books };
+
+  const describe = (name, item) => {
+    switch (name) {
+      case "books":
+        return item.name;
+      case "authors":
+        return authorMap[item.id]?.name || `Author #${item.id}`;
+      case "stores":
+        return item.name;
+      case "inventory":
+        return `${indexes.booksById.get(item.book_id)?.name || "Unknown book"} at ${
+          storeMap[item.store_id]?.name || "Unknown store"
+        } ($${item.price})`;
+      default:
+        return `#${item.id}`;
+    }
+  };
+
+  const targets = records || (record ? [record] : []);
+  const ids = targets.map((item) => item.id);
+  const targetId = reassignTo ? parseInt(reassignTo, 10) : null;
+  const plan =
+    show && ids.length > 0
+      ? repositories[collection].planRemoveMany(ids, { reassignTo: targetId })
+      : null;
+
+  const groups = plan
+    ? [
+        ...plan.blocked.map((entry) => ({ ...entry, kind: "blocked" })),
+        ...plan.reassign.map((entry) => ({ ...entry, kind: "reassign" })),
+        ...plan.cascade.map((entry) => ({ ...entry, kind: "cascade" })),
+      ]
+    : [];
+
+  const close = (deleted) => {
+    setReassignTo("");
+    onClose(deleted);
+  };
+
+  const confirm = async () => {
+    if (!plan?.canDelete || saving) return;
+    setSaving(true);
+    const deleted = await repositories[collection].removeMany(ids, {
+      reassignTo: targetId,
+    });
+    setSaving(false);
+    close(deleted);
+  };
+
+  return (
+    <Modal
+      title={`Delete ${label || ""}`}
+      save={confirm}
+      cancel={() => close(false)}
+      show={show}
+      saveLabel={saving ? "Deleting..." : "Delete"}
+      saveDisabled={saving || !plan?.canDelete}
+    >
+      <div className="flex flex-col gap-4 w-full">
+        {targets.length > 1 ? (
+          <div>
+            <p className="text-gray-800 font-medium">
+              Are you sure you want to delete {targets.length} {collection}?
+            </p>
+            <ul className="text-sm text-gray-600 mt-1 list-disc ps-5">
+              {targets.slice(0, PREVIEW_LIMIT).map((item) => (
+                <li key={item.id}>{describe(collection, item)}</li>
+              ))}
+              {targets.length > PREVIEW_LIMIT && (
+                <li>and {targets.length - PREVIEW_LIMIT} more</li>
+              )}
+            </ul>
+          </div>
+        ) : (
+          <p className="text-gray-800 font-medium">
+            Are you sure you want to delete "{label}"?
+          </p>
+        )}
+
+        {groups.length === 0 && (
+          <p className="text-sm text-gray-600">No other records depend on it.</p>
+        )}
+
+        {groups.map((group) => (
+          <div
+            key={`${group.kind}-${group.collection}`}
+            className={`p-3 rounded border ${
+              group.kind === "blocked"
+                ? "bg-red-50 border-red-200"
+                : "bg-gray-50 border-gray-200"
+            }`}
+          >
+            <p className="text-sm font-medium text-gray-800">
+              {ACTION_TEXT[group.kind]}
+              {group.kind === "reassign" && ` ${group.parentCollection.replace(/s$/, "")}`}
+              : {group.records.length} {group.collection}
+            </p>
+            <ul className="text-sm text-gray-600 mt-1 list-disc ps-5">
+              {group.records.slice(0, PREVIEW_LIMIT).map((item) => (
+                <li key={item.id}>{describe(group.collection, item)}</li>
+              ))}
+              {group.records.length > PREVIEW_LIMIT && (
+                <li>and {group.records.length - PREVIEW_LIMIT} more</li>
+              )}
+            </ul>
+
+            {group.kind === "reassign" && (
+              <select
+                value={reassignTo}
+                onChange={(e) => setReassignTo(e.target.value)}
+                className="border border-gray-300 rounded p-2 w-full mt-2"
+              >
+                <option value="">-- Move them to --</option>
+                {(parents[group.parentCollection] || [])
+                  .filter((item) => !ids.includes(item.id))
+                  .map((item) => (
+                    <option key={item.id} value={item.id}>
+                      {describe(group.parentCollection, item)}
+                    </option>
+                  ))}
+              </select>
+            )}
+          </div>
+        ))}
+      </div>
+    </Modal>
+  );
+};
+
+export default DeleteConfirmation;
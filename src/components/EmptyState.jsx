@@ -0,0 +1,17 @@
+import React from "react";
+
+// Shown when data loaded successfully but there is nothing to list
+const EmptyState = ({ message, actionLabel, onAction }) => {
+  return (
+    <div className="flex flex-col items-center justify-center gap-3 py-16 text-center">
+      <p className="text-gray-600">{message}</p>
+      {onAction && (
+        <button onClick={onAction} className="bg-main text-white px-4 py-2 rounded">
+          {actionLabel}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default EmptyState;
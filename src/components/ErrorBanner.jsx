@@ -0,0 +1,26 @@
+import React from "react";
+import useLibrary from "../hooks/useLibrary";
+
+// Reports the last failed write to the data source (e.g. a server-side error)
+const ErrorBanner = () => {
+  const { lastError, clearError } = useLibrary();
+
+  if (!lastError) return null;
+
+  return (
+    <div className="mt-4 flex justify-between items-center gap-4 p-3 bg-red-50 border border-red-200 rounded text-red-700">
+      <p>
+        Your change could not be saved: {lastError.message}
+        {lastError.status ? ` (HTTP ${lastError.status})` : ""}
+      </p>
+      <button
+        onClick={clearError}
+        className="text-red-700 border border-red-300 bg-white px-3 py-1 rounded"
+      >
+        Dismiss
+      </button>
+    </div>
+  );
+};
+
+export default ErrorBanner;
@@ -0,0 +1,20 @@
+import React from "react";
+
+// Shown in place of a page when the data it needs failed to load
+const ErrorState = ({ error, onRetry, title = "Something went wrong" }) => {
+  return (
+    <div className="flex flex-col items-center justify-center gap-3 py-16 text-center">
+      <p className="text-lg text-gray-800">{title}</p>
+      <p className="text-sm text-gray-600">
+        {error?.message || "The data could not be loaded."}
+      </p>
+      {onRetry && (
+        <button onClick={onRetry} className="bg-main text-white px-4 py-2 rounded">
+          Try again
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ErrorState;
@@ -2,24 +2,35 @@ import React from "react";
 import Searchbar from "./Searchbar";
 import { useAuth } from "../contexts/AuthProvider";
 
-const Header = ({ addNew, title, buttonTitle }) => {
+// searchScope: collection whose search fields the search box hints at
+const Header = ({ addNew, onImport, title, buttonTitle, searchScope }) => {
   const { isAuthenticated } = useAuth();
 
   return (
     <div className="flex justify-between items-center">
       <div className="flex items-center gap-2 ">
         <h1 className="text-lg ">{title || "Authors List"}</h1>
-        <Searchbar />
+        <Searchbar scope={searchScope} />
       </div>
       {isAuthenticated && (
-        <button
-          className="bg-main text-white rounded px-4 py-2"
-          onClick={() => {
-            addNew();
-          }}
-        >
-          {buttonTitle || `Add New ${title.split(" ")[0]}`}
-        </button>
+        <div className="flex items-center gap-2">
+          {onImport && (
+            <button
+              className="text-main border border-main bg-white rounded px-4 py-2"
+              onClick={onImport}
+            >
+              Import
+            </button>
+          )}
+          <button
+            className="bg-main text-white rounded px-4 py-2"
+            onClick={() => {
+              addNew();
+            }}
+          >
+            {buttonTitle || `Add New ${title.split(" ")[0]}`}
+          </button>
+        </div>
       )}
     </div>
   );
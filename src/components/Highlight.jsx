@@ -0,0 +1,30 @@
+// Renders text with the fragments the current search matched marked up
+import React, { useContext } from "react";
+import HighlightContext from "../contexts/HighlightContext";
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const Highlight = ({ text }) => {
+  const fragments = useContext(HighlightContext);
+  if (text === null || text === undefined) return null;
+  const value = String(text);
+  if (fragments.length === 0) return value;
+
+  // Longest first, so "stars" wins over "star"; the capture group keeps the
+  // matched parts in the split result, at odd indexes
+  const pattern = new RegExp(
+    `(${[...fragments].sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})`,
+    "gi"
+  );
+  return value.split(pattern).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+};
+
+export default Highlight;
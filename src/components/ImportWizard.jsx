@@ -0,0 +1,243 @@
+// Bulk import from a CSV or JSON file: upload, map columns to fields, preview
+// every row with its validation errors and duplicates, then save the valid
+// rows in one batch
+import React, { useMemo, useState } from "react";
+import Modal from "./Modal";
+import useLibraryData from "../hooks/useLibraryData";
+import {
+  IMPORT_FIELDS,
+  buildImportRows,
+  guessMapping,
+  parseImportText,
+} from "../services/importer";
+import { SCHEMAS } from "../services/schemas";
+
+const PREVIEW_LIMIT = 200;
+
+const EMPTY_SOURCE = { fileName: "", headers: [], records: [] };
+
+const isRequired = (collection, key) => SCHEMAS[collection][key]?.required === true;
+
+const ImportWizard = ({ show, collection, label, onClose }) => {
+  const { books, authors, stores, repositories } = useLibraryData();
+  const [step, setStep] = useState("upload");
+  const [source, setSource] = useState(EMPTY_SOURCE);
+  const [pasted, setPasted] = useState("");
+  const [parseError, setParseError] = useState("");
+  const [mapping, setMapping] = useState({});
+  const [importing, setImporting] = useState(false);
+
+  const fields = IMPORT_FIELDS[collection];
+
+  const rows = useMemo(
+    () =>
+      step === "preview"
+        ? buildImportRows(collection, source.records, mapping, { books, authors, stores })
+        : [],
+    [step, collection, source, mapping, books, authors, stores]
+  );
+  const validRows = rows.filter((row) => row.errors.length === 0 && !row.duplicate);
+  const invalidCount = rows.filter((row) => row.errors.length > 0).length;
+  const duplicateCount = rows.filter((row) => row.errors.length === 0 && row.duplicate).length;
+
+  const close = (imported) => {
+    setStep("upload");
+    setSource(EMPTY_SOURCE);
+    setPasted("");
+    setParseError("");
+    setMapping({});
+    onClose(imported);
+  };
+
+  const readText = (text, fileName) => {
+    try {
+      const parsed = parseImportText(text, fileName);
+      if (parsed.records.length === 0) {
+        setParseError("No rows found. The first CSV line must hold the column names.");
+        return;
+      }
+      setSource({ fileName, ...parsed });
+      setMapping(guessMapping(collection, parsed.headers));
+      setParseError("");
+      setStep("map");
+    } catch (error) {
+      setParseError(`Could not read the data: ${error.message}`);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) readText(await file.text(), file.name);
+  };
+
+  const handleImport = async () => {
+    if (validRows.length === 0) return;
+    setImporting(true);
+    const created = await repositories[collection].createMany(
+      validRows.map((row) => row.record)
+    );
+    setImporting(false);
+    if (created) close(created);
+  };
+
+  const mappedRequired = fields.every(
+    (field) => !isRequired(collection, field.key) || mapping[field.key]
+  );
+
+  const steps = {
+    upload: {
+      save: () => readText(pasted, ""),
+      saveLabel: "Next",
+      saveDisabled: pasted.trim() === "",
+    },
+    map: {
+      save: () => setStep("preview"),
+      saveLabel: "Preview",
+      saveDisabled: !mappedRequired,
+    },
+    // Back to the mapping, keeping the parsed file and the chosen columns
+    preview: {
+      back: importing ? undefined : () => setStep("map"),
+      save: handleImport,
+      saveLabel: importing
+        ? "Importing..."
+        : `Import ${validRows.length} row${validRows.length === 1 ? "" : "s"}`,
+      saveDisabled: importing || validRows.length === 0,
+    },
+  };
+
+  return (
+    <Modal
+      title={`Import ${label || collection}`}
+      cancel={() => close(null)}
+      show={show}
+      {...steps[step]}
+    >
+      <div className="flex flex-col gap-4 w-full">
+        {step === "upload" && (
+          <>
+            <div>
+              <label htmlFor="import-file" className="block text-gray-700 font-medium mb-1">
+                CSV or JSON file
+              </label>
+              <input
+                id="import-file"
+                type="file"
+                accept=".csv,.json,text/csv,application/json"
+                onChange={handleFile}
+                className="border border-gray-300 rounded p-2 w-full"
+              />
+            </div>
+            <div>
+              <label htmlFor="import-paste" className="block text-gray-700 font-medium mb-1">
+                Or paste the data
+              </label>
+              <textarea
+                id="import-paste"
+                value={pasted}
+                onChange={(e) => setPasted(e.target.value)}
+                rows={6}
+                className="border border-gray-300 rounded p-2 w-full font-mono text-xs"
+                placeholder={fields.map((field) => field.key).join(",")}
+              />
+            </div>
+          </>
+        )}
+
+        {step === "map" && (
+          <>
+            <p className="text-sm text-gray-600">
+              {source.records.length} rows read{source.fileName && ` from ${source.fileName}`}.
+              Choose the column that holds each field.
+            </p>
+            {fields.map((field) => (
+              <div key={field.key} className="flex items-center gap-2">
+                <label htmlFor={`map-${field.key}`} className="w-1/2 text-gray-700">
+                  {field.label}
+                  {isRequired(collection, field.key) && <span className="text-main"> *</span>}
+                </label>
+                <select
+                  id={`map-${field.key}`}
+                  value={mapping[field.key] || ""}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  className="border border-gray-300 rounded p-2 w-1/2"
+                >
+                  <option value="">-- Not imported --</option>
+                  {source.headers.map((header) => (
+                    <option key={header} value={header}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </>
+        )}
+
+        {step === "preview" && (
+          <>
+            <p className="text-sm text-gray-600">
+              {validRows.length} ready, {invalidCount} with errors, {duplicateCount} duplicates
+              skipped.
+            </p>
+            <div className="max-h-80 overflow-auto border border-gray-200 rounded">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="p-2 text-left">Row</th>
+                    {fields
+                      .filter((field) => mapping[field.key])
+                      .map((field) => (
+                        <th key={field.key} className="p-2 text-left">
+                          {field.label}
+                        </th>
+                      ))}
+                    <th className="p-2 text-left">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.slice(0, PREVIEW_LIMIT).map((row) => (
+                    <tr
+                      key={row.line}
+                      className={`border-t border-gray-100 ${
+                        row.errors.length > 0
+                          ? "bg-red-50"
+                          : row.duplicate
+                            ? "bg-yellow-50"
+                            : ""
+                      }`}
+                    >
+                      <td className="p-2">{row.line}</td>
+                      {fields
+                        .filter((field) => mapping[field.key])
+                        .map((field) => (
+                          <td key={field.key} className="p-2">
+                            {String(row.record[field.key] ?? "")}
+                          </td>
+                        ))}
+                      <td className="p-2">
+                        {row.errors.length > 0
+                          ? row.errors.map((error) => `${error.field}: ${error.message}`).join("; ")
+                          : row.duplicate || "Ready"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {rows.length > PREVIEW_LIMIT && (
+              <p className="text-sm text-gray-600">
+                Showing the first {PREVIEW_LIMIT} of {rows.length} rows.
+              </p>
+            )}
+          </>
+        )}
+
+        {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+      </div>
+    </Modal>
+  );
+};
+
+export default ImportWizard;
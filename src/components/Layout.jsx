@@ -1,6 +1,8 @@
 import { Outlet, NavLink } from 'react-router-dom';
 import Sidelist from './Sidelist/Sidelist';
 import Topbar from './Topbar';
+import ErrorBanner from './ErrorBanner';
+import CommandPalette from './CommandPalette';
 
 export default function Layout() {
   return (
@@ -8,8 +10,10 @@ export default function Layout() {
               <Sidelist />
       <main className="h-screen overflow-auto flex-1 bg-background pt-8 px-6">
         <Topbar />
+        <ErrorBanner />
         <Outlet />
       </main>
+      <CommandPalette />
     </div>
   );
 }
\ No newline at end of file
@@ -1,14 +1,16 @@
-// Modal component with two action buttons
+// Modal component with two action buttons, plus a Back button when `back` is given
 
 import React from 'react'
 
 const Modal = (
     {
         show,
-        setShow,
         title,
         save,
         cancel,
+        back,
+        saveLabel = 'Submit',
+        saveDisabled = false,
         children
     }
 ) => {
@@ -21,7 +23,14 @@ const Modal = (
                {children}
                </div>
                 <div className="flex justify-end space-x-4 p-4 font-light">
-                    
+                    {back && (
+                        <button
+                            onClick={back}
+                            className="me-auto text-main px-3 py-1.5 rounded hover:underline"
+                        >
+                            Back
+                        </button>
+                    )}
                     <button
                         onClick={cancel}
                         className="text-main border border-main bg-white px-3 py-1.5 rounded"
@@ -30,9 +39,10 @@ const Modal = (
                     </button>
                     <button
                         onClick={save}
-                        className="bg-main text-white px-3 py-1.5 rounded"
+                        disabled={saveDisabled}
+                        className="bg-main text-white px-3 py-1.5 rounded disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                        Submit
+                        {saveLabel}
                     </button>
                 </div>
             </div>
@@ -1,36 +1,116 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import searchIcon from '../assets/search.png';
+import useClickOutside from '../hooks/useClickOutside';
+import { SEARCH_FIELDS, unknownFields } from '../services/search';
 
-const Searchbar = () => {
+// scope: collection whose fields (see services/search.js) the hints list
+const Searchbar = ({ scope }) => {
     const [searchParams, setSearchParams] = useSearchParams();
-    const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
+    const urlTerm = searchParams.get('search') || '';
+    const [searchTerm, setSearchTerm] = useState(urlTerm);
+    const [showHints, setShowHints] = useState(false);
+    const containerRef = useRef(null);
+    const inputRef = useRef(null);
+    const closeHints = useCallback(() => setShowHints(false), []);
+    useClickOutside(containerRef, closeHints, showHints);
 
+    const fields = SEARCH_FIELDS[scope];
+    const unknown = fields ? unknownFields(searchTerm, fields) : [];
+
+    // Follow the URL when it changes from outside (navigation, back/forward)
     useEffect(() => {
-        if (searchTerm) {
-            setSearchParams({ search: searchTerm });
-        } else {
-            setSearchParams({});
-        }
-    }, [searchTerm, setSearchParams]);
+        setSearchTerm(urlTerm);
+    }, [urlTerm]);
+
+    // Only touch ?search=, keeping other params such as a table's sort and page
+    const updateSearch = (value) => {
+        setSearchTerm(value);
+        setSearchParams(
+            (prev) => {
+                const next = new URLSearchParams(prev);
+                if (value) {
+                    next.set('search', value);
+                } else {
+                    next.delete('search');
+                }
+                return next;
+            },
+            { replace: true }
+        );
+    };
 
     const handleInputChange = (e) => {
-        setSearchTerm(e.target.value);
+        updateSearch(e.target.value);
+    };
+
+    // Start a `field:` term at the end of the search
+    const insertField = (name) => {
+        updateSearch(`${searchTerm.trim()} ${name}:`.trimStart());
+        inputRef.current?.focus();
     };
 
     return (
-        <div className="flex items-center rounded py-1.5 px-3 bg-white ">
-            <img src={searchIcon} alt="Search" className="w-4 h-4 mr-2" />
-            <input
-                type="text"
-                value={searchTerm}
-                onChange={handleInputChange}
-                placeholder="Search..."
-                className="flex-1 outline-none"
-           
-           />
+        <div className="relative" ref={containerRef}>
+            <div className="flex items-center rounded py-1.5 px-3 bg-white ">
+                <img src={searchIcon} alt="Search" className="w-4 h-4 mr-2" />
+                <input
+                    ref={inputRef}
+                    type="text"
+                    value={searchTerm}
+                    onChange={handleInputChange}
+                    onFocus={() => setShowHints(true)}
+                    onKeyDown={(e) => e.key === 'Escape' && setShowHints(false)}
+                    placeholder={fields ? 'Search, e.g. author:name pages:>500' : 'Search...'}
+                    className="flex-1 outline-none min-w-64"
+                    aria-invalid={unknown.length > 0}
+                />
+            </div>
+            {showHints && fields && (
+                <div className="absolute left-0 mt-1 w-96 bg-white border border-gray-200 rounded shadow-lg z-20 p-3 text-sm text-gray-700">
+                    {unknown.length > 0 && (
+                        <p className="mb-2 text-red-500">
+                            Unknown field{unknown.length > 1 ? 's' : ''}: {unknown.join(', ')}, searched as
+                            text
+                        </p>
+                    )}
+                    <p className="mb-2">
+                        Words search{' '}
+                        {Object.keys(fields)
+                            .filter((name) => fields[name].default)
+                            .join(', ')}
+                        . Narrow with a field:
+                    </p>
+                    <div className="flex flex-wrap gap-1 mb-2">
+                        {Object.entries(fields).map(([name, field]) => (
+                            <button
+                                key={name}
+                                onClick={() => insertField(name)}
+                                className="border border-main text-main rounded px-2 py-0.5 hover:bg-main hover:text-white"
+                                title={field.type === 'number' ? 'Number: use :, >, >=, < or <=' : 'Text contains'}
+                            >
+                                {name}:
+                            </button>
+                        ))}
+                    </div>
+                    <ul className="text-xs text-gray-500 space-y-0.5">
+                        <li>
+                            <code>"two words"</code> matches a phrase
+                        </li>
+                        <li>
+                            <code>
+                                {Object.entries(fields).find(([, field]) => field.type === 'number')?.[0]}:&gt;100
+                            </code>{' '}
+                            compares numbers (&gt;, &gt;=, &lt;, &lt;=)
+                        </li>
+                        <li>
+                            <code>-{Object.keys(fields)[1]}:word</code> excludes matches
+                        </li>
+                    </ul>
+                </div>
+            )}
         </div>
     );
 };
 
-export default Searchbar;
\ No newline at end of file
+export default Searchbar;
@@ -0,0 +1,101 @@
+// Editor rendered in a cell of the row being edited, picked by meta.editor
+import { ADDRESS_FIELDS, editFields } from "./editing";
+import { US_STATES } from "../../services/address";
+
+const inputClass =
+  "border border-gray-300 rounded p-1 w-full focus:outline-none focus:ring-2 focus:ring-main";
+
+const ADDRESS_PLACEHOLDERS = {
+  address_1: "Street",
+  address_2: "Suite / floor (optional)",
+  city: "City",
+  state: "State",
+  zip: "ZIP",
+};
+
+const CellEditor = ({ column, draft, error, autoFocus, onChange, onSave, onCancel }) => {
+  const { editor, editOptions = [] } = column.columnDef.meta;
+  const [field] = editFields(column);
+
+  // Enter saves the row, Escape drops the changes
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") onSave();
+    if (e.key === "Escape") onCancel();
+  };
+  const inputProps = (name) => ({
+    value: draft[name] ?? "",
+    onChange: (e) => onChange(name, e.target.value),
+    onKeyDown,
+    "aria-invalid": Boolean(error),
+    className: `${inputClass} ${error ? "border-red-500" : ""}`,
+  });
+
+  let control;
+  if (editor === "select") {
+    control = (
+      <select
+        {...inputProps(field)}
+        // Option values are strings; keep the original type (e.g. numeric ids)
+        onChange={(e) =>
+          onChange(
+            field,
+            editOptions.find((option) => String(option.value) === e.target.value)?.value ?? ""
+          )
+        }
+        autoFocus={autoFocus}
+      >
+        <option value="" disabled>
+          Select...
+        </option>
+        {editOptions.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+  } else if (editor === "address") {
+    control = (
+      <div className="grid grid-cols-3 gap-1 min-w-64">
+        {ADDRESS_FIELDS.map((name, index) =>
+          name === "state" ? (
+            <select key={name} {...inputProps(name)} title={ADDRESS_PLACEHOLDERS[name]}>
+              <option value="">{ADDRESS_PLACEHOLDERS[name]}</option>
+              {US_STATES.map((state) => (
+                <option key={state.code} value={state.code} title={state.name}>
+                  {state.code}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              key={name}
+              type="text"
+              {...inputProps(name)}
+              placeholder={ADDRESS_PLACEHOLDERS[name]}
+              className={`${inputProps(name).className} ${index < 2 ? "col-span-3" : ""}`}
+              autoFocus={autoFocus && index === 0}
+            />
+          )
+        )}
+      </div>
+    );
+  } else {
+    control = (
+      <input
+        type={editor === "number" ? "number" : "text"}
+        {...inputProps(field)}
+        autoFocus={autoFocus}
+      />
+    );
+  }
+
+  return (
+    <div>
+      {control}
+      {error && <p className="mt-1 text-xs text-red-500">{error}</p>}
+    </div>
+  );
+};
+
+export default CellEditor;
@@ -0,0 +1,96 @@
+// Column chooser for Table: show/hide columns and drag them into a new order
+import { useCallback, useRef, useState } from "react";
+import useClickOutside from "../../hooks/useClickOutside";
+
+const columnLabel = (column) => {
+  const { header } = column.columnDef;
+  return typeof header === "string" ? header : column.id;
+};
+
+// Leaf columns in display order, without Table's selection and expand columns
+const orderedColumns = (table) => {
+  const columns = table
+    .getAllLeafColumns()
+    .filter((column) => !["select", "expand"].includes(column.id));
+  const order = table.getState().columnOrder;
+  const position = (column) => {
+    const index = order.indexOf(column.id);
+    return index === -1 ? order.length : index;
+  };
+  return [...columns].sort((a, b) => position(a) - position(b));
+};
+
+const ColumnChooser = ({ table, onReset }) => {
+  const [open, setOpen] = useState(false);
+  const [dragged, setDragged] = useState(null);
+  const menuRef = useRef(null);
+  const close = useCallback(() => setOpen(false), []);
+  useClickOutside(menuRef, close, open);
+
+  const columns = orderedColumns(table);
+
+  const moveBefore = (sourceId, targetId) => {
+    if (sourceId === targetId) return;
+    const ids = columns.map((column) => column.id).filter((id) => id !== sourceId);
+    ids.splice(ids.indexOf(targetId), 0, sourceId);
+    table.setColumnOrder(ids);
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-main border border-main bg-white px-3 py-1.5 rounded text-sm"
+      >
+        Columns
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border border-gray-200 rounded shadow-lg z-10 p-2 text-sm">
+          <p className="text-xs text-gray-500 mb-1">Drag to reorder</p>
+          <ul>
+            {columns.map((column) => (
+              <li
+                key={column.id}
+                draggable
+                onDragStart={() => setDragged(column.id)}
+                onDragOver={(e) => e.preventDefault()}
+                onDrop={() => {
+                  moveBefore(dragged, column.id);
+                  setDragged(null);
+                }}
+                onDragEnd={() => setDragged(null)}
+                className={`flex items-center gap-2 px-1 py-0.5 rounded cursor-move hover:bg-gray-100 ${
+                  dragged === column.id ? "opacity-50" : ""
+                }`}
+              >
+                <span className="text-gray-400" aria-hidden="true">
+                  ⋮⋮
+                </span>
+                <label className="flex items-center gap-2 flex-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={column.getIsVisible()}
+                    disabled={!column.getCanHide()}
+                    onChange={column.getToggleVisibilityHandler()}
+                  />
+                  {columnLabel(column)}
+                </label>
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={() => {
+              onReset();
+              setOpen(false);
+            }}
+            className="mt-2 text-main text-sm"
+          >
+            Reset layout
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnChooser;
@@ -0,0 +1,150 @@
+// Filter control rendered under a column header, picked by meta.filterVariant
+import { useCallback, useMemo, useRef, useState } from "react";
+import useClickOutside from "../../hooks/useClickOutside";
+
+const inputClass =
+  "border border-gray-300 rounded px-1 py-0.5 w-full text-sm font-normal focus:outline-none focus:ring-1 focus:ring-main";
+
+const TextFilter = ({ column }) => (
+  <input
+    type="text"
+    value={column.getFilterValue() ?? ""}
+    onChange={(e) => column.setFilterValue(e.target.value || undefined)}
+    placeholder="Contains..."
+    className={inputClass}
+  />
+);
+
+const RangeFilter = ({ column }) => {
+  const [min, max] = column.getFilterValue() ?? [];
+  const [facetMin, facetMax] = column.getFacetedMinMaxValues() ?? [];
+
+  const update = (index, raw) => {
+    const next = [min, max];
+    next[index] = raw === "" ? undefined : Number(raw);
+    column.setFilterValue(next.every((value) => value === undefined) ? undefined : next);
+  };
+
+  return (
+    <div className="flex gap-1">
+      <input
+        type="number"
+        value={min ?? ""}
+        onChange={(e) => update(0, e.target.value)}
+        placeholder={facetMin !== undefined ? `Min (${facetMin})` : "Min"}
+        className={inputClass}
+      />
+      <input
+        type="number"
+        value={max ?? ""}
+        onChange={(e) => update(1, e.target.value)}
+        placeholder={facetMax !== undefined ? `Max (${facetMax})` : "Max"}
+        className={inputClass}
+      />
+    </div>
+  );
+};
+
+const SelectFilter = ({ column }) => {
+  const [open, setOpen] = useState(false);
+  const [query, setQuery] = useState("");
+  const menuRef = useRef(null);
+  const close = useCallback(() => setOpen(false), []);
+  useClickOutside(menuRef, close, open);
+
+  const selected = column.getFilterValue() ?? [];
+  const facets = column.getFacetedUniqueValues();
+  const fixedOptions = column.columnDef.meta?.filterOptions;
+
+  // Most common values first, then alphabetical; fixed options have no counts
+  const options = useMemo(
+    () =>
+      fixedOptions
+        ? fixedOptions.map((value) => [value, null])
+        : [...facets.entries()]
+            .filter(([value]) => value !== undefined && value !== null && value !== "")
+            .sort(
+              ([a, countA], [b, countB]) =>
+                countB - countA || String(a).localeCompare(String(b))
+            ),
+    [facets, fixedOptions]
+  );
+  const visibleOptions = options.filter(([value]) =>
+    String(value).toLowerCase().includes(query.toLowerCase())
+  );
+
+  const toggle = (value) => {
+    const next = selected.includes(value)
+      ? selected.filter((item) => item !== value)
+      : [...selected, value];
+    column.setFilterValue(next.length > 0 ? next : undefined);
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className={`${inputClass} text-left bg-white truncate ${
+          selected.length > 0 ? "text-main" : "text-gray-500"
+        }`}
+      >
+        {selected.length === 0
+          ? "All"
+          : selected.length === 1
+            ? String(selected[0])
+            : `${selected.length} selected`}
+      </button>
+      {open && (
+        <div className="absolute left-0 mt-1 w-60 bg-white border border-gray-200 rounded shadow-lg z-10 p-2 text-sm font-normal">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search values..."
+            className={`${inputClass} mb-2`}
+            autoFocus
+          />
+          <ul className="max-h-60 overflow-auto">
+            {visibleOptions.map(([value, count]) => (
+              <li key={String(value)}>
+                <label className="flex items-center gap-2 px-1 py-0.5 rounded hover:bg-gray-100 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(value)}
+                    onChange={() => toggle(value)}
+                  />
+                  <span className="flex-1 truncate">{String(value)}</span>
+                  {count !== null && <span className="text-gray-500">{count}</span>}
+                </label>
+              </li>
+            ))}
+            {visibleOptions.length === 0 && (
+              <li className="px-1 py-0.5 text-gray-500">No values</li>
+            )}
+          </ul>
+          {selected.length > 0 && (
+            <button
+              onClick={() => column.setFilterValue(undefined)}
+              className="mt-2 text-main text-sm"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const VARIANTS = {
+  text: TextFilter,
+  range: RangeFilter,
+  select: SelectFilter,
+};
+
+const ColumnFilter = ({ column }) => {
+  const Filter = VARIANTS[column.columnDef.meta?.filterVariant];
+  return Filter && column.getCanFilter() ? <Filter column={column} /> : null;
+};
+
+export default ColumnFilter;
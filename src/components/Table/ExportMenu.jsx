@@ -0,0 +1,75 @@
+// Export dropdown for Table: every row of the current filtered/sorted view, or
+// only the selected rows, as CSV, JSON or XLSX
+import { useCallback, useRef, useState } from "react";
+import useClickOutside from "../../hooks/useClickOutside";
+import { EXPORT_FORMATS, exportTable } from "./exportTable";
+
+const ExportMenu = ({ table, fileName }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState("view");
+  const menuRef = useRef(null);
+
+  const viewRows = table.getPrePaginationRowModel().rows;
+  const viewCount = viewRows.length;
+  const selectedCount = viewRows.filter((row) => row.getIsSelected()).length;
+  const effectiveScope = selectedCount > 0 ? scope : "view";
+
+  const close = useCallback(() => setOpen(false), []);
+  useClickOutside(menuRef, close, open);
+
+  const handleExport = (format) => {
+    exportTable(table, { format, scope: effectiveScope, fileName });
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="text-main border border-main bg-white px-3 py-1.5 rounded text-sm"
+      >
+        Export
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border border-gray-200 rounded shadow-lg z-10 p-2 text-sm">
+          <fieldset className="flex flex-col gap-1 mb-2">
+            <label className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={effectiveScope === "view"}
+                onChange={() => setScope("view")}
+              />
+              All rows in view ({viewCount})
+            </label>
+            <label
+              className={`flex items-center gap-2 ${selectedCount === 0 ? "text-inactive" : ""}`}
+            >
+              <input
+                type="radio"
+                name="export-scope"
+                checked={effectiveScope === "selected"}
+                disabled={selectedCount === 0}
+                onChange={() => setScope("selected")}
+              />
+              Selected rows ({selectedCount})
+            </label>
+          </fieldset>
+          <div className="border-t border-gray-200 pt-2 flex flex-col">
+            {EXPORT_FORMATS.map((format) => (
+              <button
+                key={format.id}
+                onClick={() => handleExport(format.id)}
+                className="text-left px-2 py-1 rounded hover:bg-gray-100"
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -1,13 +1,81 @@
-import { useReactTable, getCoreRowModel, getSortedRowModel, getPaginationRowModel, flexRender } from '@tanstack/react-table';
+import {
+  useReactTable,
+  getCoreRowModel,
+  getSortedRowModel,
+  getPaginationRowModel,
+  getFilteredRowModel,
+  getFacetedRowModel,
+  getFacetedUniqueValues,
+  getFacetedMinMaxValues,
+  flexRender,
+} from '@tanstack/react-table';
+import { useVirtualizer } from '@tanstack/react-virtual';
 import { useMemo, useState, useRef, useEffect } from 'react';
+import ExportMenu from './ExportMenu';
+import ColumnFilter from './ColumnFilter';
+import ColumnChooser from './ColumnChooser';
+import CellEditor from './CellEditor';
+import Highlight from '../Highlight';
+import useTableLayout from '../../hooks/useTableLayout';
+import useTableUrlState, { PAGE_SIZES } from '../../hooks/useTableUrlState';
+import { FILTER_FNS, withFilterFn, toQuery } from './filters';
+import { changedFields, editableColumns, parseDraft, startDraft, validateDraft } from './editing';
 
-export default function Table({ data, columns,onRowClick}) {
+const MIN_COLUMN_WIDTH = 48;
+const ROW_HEIGHT_ESTIMATE = 41;
+// Columns Table adds itself; they stay first and out of the column chooser
+const FIXED_COLUMNS = ['select', 'expand'];
+
+// Plain value cells mark the fragments the current search matched
+const withHighlight = (column) =>
+  column.cell || !(column.accessorKey || column.accessorFn)
+    ? column
+    : { ...column, cell: ({ getValue }) => <Highlight text={getValue()} /> };
+
+// Rows keep their selection across data changes when they have an id
+const rowId = (row, index) => String(row.id ?? index);
+
+// bulkActions: [{ label, onClick(selectedRecords), danger? }] shown while rows are selected
+// tableId: key the user's column layout (visibility, order, widths) is saved
+// under, and the namespace of its sort/page/page-size URL params
+// defaultLayout: { columnVisibility, columnOrder } until the user changes it
+// virtualized: scroll through every row in a box `height` px tall (sticky
+// header, only visible rows rendered) instead of paginating
+// manual: `data` is only the current page and the data source pages, sorts and
+// filters; the table reports its state through onQueryChange(query) (see
+// services/query.js) and shows `rowCount` as the total. Not combined with
+// virtualized
+// onRowSave(record, changes): saves an inline edit (see ./editing.js), resolving
+// truthy on success; a cell starts the edit with
+// table.options.meta.startEditing(record), and the row's "actions" cell shows
+// Save/Cancel meanwhile. validateRow(values) returns { field: message }
+// renderSubRow(record): adds an expand toggle to each row that opens a
+// full-width panel with what it returns
+export default function Table({
+  data,
+  columns,
+  onRowClick,
+  exportName = 'export',
+  bulkActions = [],
+  tableId,
+  defaultLayout,
+  virtualized: virtualizedProp = false,
+  height = 600,
+  manual = false,
+  rowCount,
+  loading = false,
+  onQueryChange,
+  onRowSave,
+  validateRow,
+  renderSubRow,
+}) {
+  const virtualized = virtualizedProp && !manual;
   const [rowSelection, setRowSelection] = useState({});
-  const [pagination, setPagination] = useState({
-    pageIndex: 0,
-    pageSize: 10
-  });
-  const [sorting, setSorting] = useState([]);
+  const { sorting, setSorting, pagination, setPagination } = useTableUrlState(tableId);
+  const [columnFilters, setColumnFilters] = useState([]);
+  // Row being edited inline: { id, record, draft, errors, saving }
+  const [editing, setEditing] = useState(null);
+  const { layout, onChange: onLayoutChange, resetLayout } = useTableLayout(tableId, defaultLayout);
   
   // Add skip reset ref
   const skipPageResetRef = useRef(false);
@@ -17,10 +85,24 @@ export default function Table({ data, columns,onRowClick}) {
     skipPageResetRef.current = false;
   }, [data]);
 
+  // Drop selected or edited rows that are no longer in the data (e.g. after a delete)
+  useEffect(() => {
+    const ids = new Set(data.map((row, index) => rowId(row, index)));
+    setEditing((prev) => (prev && !ids.has(prev.id) ? null : prev));
+    setRowSelection((prev) => {
+      const kept = Object.keys(prev).filter((id) => ids.has(id));
+      return kept.length === Object.keys(prev).length
+        ? prev
+        : Object.fromEntries(kept.map((id) => [id, true]));
+    });
+  }, [data]);
+
   const tableColumns = useMemo(
     () => [
       {
         id: 'select',
+        enableHiding: false,
+        enableResizing: false,
         header: ({ table }) => (
           <input
             type="checkbox"
@@ -38,22 +120,91 @@ export default function Table({ data, columns,onRowClick}) {
           />
         ),
       },
-      ...columns,
+      ...(renderSubRow
+        ? [
+            {
+              id: 'expand',
+              enableHiding: false,
+              enableResizing: false,
+              header: () => null,
+              cell: ({ row }) => (
+                <button
+                  onClick={row.getToggleExpandedHandler()}
+                  aria-expanded={row.getIsExpanded()}
+                  aria-label={row.getIsExpanded() ? 'Collapse row' : 'Expand row'}
+                  className="text-main w-5"
+                >
+                  {row.getIsExpanded() ? '▾' : '▸'}
+                </button>
+              ),
+            },
+          ]
+        : []),
+      ...columns.map(withFilterFn).map(withHighlight),
     ],
-    [columns]
+    [columns, renderSubRow]
   );
 
+  const hasFilters = columns.some((column) => column.meta?.filterVariant);
+
+  // New sorting or filters change the result set, so go back to the first page
+  const resetPageOn = (setState) => (updater) => {
+    setState(updater);
+    if (manual) setPagination((prev) => ({ ...prev, pageIndex: 0 }));
+  };
+
   const table = useReactTable({
     data,
     columns: tableColumns,
-    state: { sorting, rowSelection, pagination },
-    onSortingChange: setSorting,
+    state: {
+      sorting,
+      rowSelection,
+      pagination,
+      columnFilters,
+      columnVisibility: layout.columnVisibility,
+      columnSizing: layout.columnSizing,
+      // The selection and expand columns always come first
+      columnOrder:
+        layout.columnOrder.length > 0 ? [...FIXED_COLUMNS, ...layout.columnOrder] : [],
+    },
+    onColumnVisibilityChange: onLayoutChange('columnVisibility'),
+    onColumnSizingChange: onLayoutChange('columnSizing'),
+    onColumnOrderChange: (updater) =>
+      onLayoutChange('columnOrder')((previous) =>
+        (typeof updater === 'function' ? updater(previous) : updater).filter(
+          (id) => !FIXED_COLUMNS.includes(id)
+        )
+      ),
+    filterFns: FILTER_FNS,
+    getRowId: rowId,
+    getRowCanExpand: () => Boolean(renderSubRow),
+    meta: {
+      editingId: editing?.id ?? null,
+      startEditing: (record) =>
+        setEditing({
+          id: rowId(record),
+          record,
+          draft: startDraft(editableColumns(table), record),
+          errors: {},
+          saving: false,
+        }),
+    },
+    onSortingChange: resetPageOn(setSorting),
+    onColumnFiltersChange: resetPageOn(setColumnFilters),
     onRowSelectionChange: setRowSelection,
     onPaginationChange: setPagination,
     getCoreRowModel: getCoreRowModel(),
     getSortedRowModel: getSortedRowModel(),
+    getFilteredRowModel: getFilteredRowModel(),
+    getFacetedRowModel: getFacetedRowModel(),
+    getFacetedUniqueValues: getFacetedUniqueValues(),
+    getFacetedMinMaxValues: getFacetedMinMaxValues(),
     getPaginationRowModel: getPaginationRowModel(),
-    autoResetPageIndex: !skipPageResetRef.current,
+    manualPagination: manual,
+    manualSorting: manual,
+    manualFiltering: manual,
+    rowCount: manual ? rowCount ?? data.length : undefined,
+    autoResetPageIndex: !manual && !skipPageResetRef.current,
     autoResetExpanded: !skipPageResetRef.current,
     autoResetGrouping: !skipPageResetRef.current,
     autoResetSelectedRows: !skipPageResetRef.current,
@@ -61,6 +212,72 @@ export default function Table({ data, columns,onRowClick}) {
     autoResetFilters: !skipPageResetRef.current,
   });
 
+  // Ask the data source for the page the table now shows
+  useEffect(() => {
+    if (manual) onQueryChange?.(toQuery(table, { pagination, sorting, columnFilters }));
+  }, [manual, onQueryChange, table, pagination, sorting, columnFilters]);
+
+  const changeDraft = (field, value) =>
+    setEditing((prev) => ({ ...prev, draft: { ...prev.draft, [field]: value } }));
+  const cancelEditing = () => setEditing(null);
+
+  // Validate the whole row, then save only the fields that changed
+  const saveEditing = async () => {
+    if (!editing || editing.saving) return;
+    const columns = editableColumns(table);
+    const parsed = parseDraft(columns, editing.draft);
+    const errors = validateDraft(columns, { ...editing.record, ...parsed }, validateRow);
+    if (Object.keys(errors).length > 0) {
+      setEditing((prev) => ({ ...prev, errors }));
+      return;
+    }
+    const changes = changedFields(editing.record, parsed);
+    if (Object.keys(changes).length === 0) {
+      setEditing(null);
+      return;
+    }
+    setEditing((prev) => ({ ...prev, errors: {}, saving: true }));
+    const saved = await onRowSave(editing.record, changes);
+    // A failed save keeps the row open; the store reports why
+    setEditing((prev) => (prev?.id !== editing.id ? prev : saved ? null : { ...prev, saving: false }));
+  };
+
+  const renderCell = (cell) => {
+    const { row, column } = cell;
+    if (editing?.id !== row.id) return flexRender(column.columnDef.cell, cell.getContext());
+    if (column.columnDef.meta?.editor) {
+      const firstEditor = row.getVisibleCells().find((other) => other.column.columnDef.meta?.editor);
+      return (
+        <CellEditor
+          column={column}
+          draft={editing.draft}
+          error={editing.errors[column.id]}
+          autoFocus={firstEditor?.id === cell.id}
+          onChange={changeDraft}
+          onSave={saveEditing}
+          onCancel={cancelEditing}
+        />
+      );
+    }
+    if (column.id === 'actions') {
+      return (
+        <div className="flex gap-2">
+          <button
+            onClick={saveEditing}
+            disabled={editing.saving}
+            className="bg-main text-white px-3 py-1 rounded disabled:opacity-50"
+          >
+            {editing.saving ? 'Saving...' : 'Save'}
+          </button>
+          <button onClick={cancelEditing} disabled={editing.saving} className="text-main">
+            Cancel
+          </button>
+        </div>
+      );
+    }
+    return flexRender(column.columnDef.cell, cell.getContext());
+  };
+
   // Helper function to update data while preserving pagination
   const updateData = (newData) => {
     skipPageResetRef.current = true;
@@ -70,14 +287,118 @@ export default function Table({ data, columns,onRowClick}) {
   // Pagination controls
   const pageCount = table.getPageCount();
   const { pageIndex, pageSize } = table.getState().pagination;
-  const startRow = pageIndex * pageSize + 1;
-  const endRow = Math.min((pageIndex + 1) * pageSize, data.length);
-  const totalRows = data.length;
+  const totalRows = manual ? table.getRowCount() : table.getPrePaginationRowModel().rows.length;
+  const startRow = totalRows === 0 ? 0 : pageIndex * pageSize + 1;
+  const endRow = Math.min((pageIndex + 1) * pageSize, totalRows);
+
+  // Step back when the current page is past the end (e.g. after a new search,
+  // or a page from the URL that no longer exists)
+  const lastPage = Math.max(0, pageCount - 1);
+  const knownTotal = manual ? rowCount !== undefined && !loading : !virtualized;
+  useEffect(() => {
+    if (knownTotal && pageIndex > lastPage) {
+      setPagination((prev) => ({ ...prev, pageIndex: lastPage }));
+    }
+  }, [knownTotal, pageIndex, lastPage, setPagination]);
+
+  // Resize from the column's rendered width, so the first drag doesn't jump
+  const [resizingId, setResizingId] = useState(null);
+  const startResize = (e, column) => {
+    e.preventDefault();
+    const startX = e.clientX;
+    const startWidth = e.currentTarget.parentElement.offsetWidth;
+    setResizingId(column.id);
+
+    const handleMove = (moveEvent) => {
+      const width = Math.max(MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+      table.setColumnSizing((prev) => ({ ...prev, [column.id]: width }));
+    };
+    const handleUp = () => {
+      setResizingId(null);
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  // In virtualized mode every filtered/sorted row scrolls, but only the
+  // ones in view are rendered, between two spacer rows
+  const scrollRef = useRef(null);
+  const allRows = virtualized
+    ? table.getPrePaginationRowModel().rows
+    : table.getRowModel().rows;
+  const rowVirtualizer = useVirtualizer({
+    count: virtualized ? allRows.length : 0,
+    getScrollElement: () => scrollRef.current,
+    estimateSize: () => ROW_HEIGHT_ESTIMATE,
+    overscan: 10,
+  });
+  const virtualRows = rowVirtualizer.getVirtualItems();
+  const visibleRows = virtualized
+    ? virtualRows.map((virtualRow) => ({ row: allRows[virtualRow.index], index: virtualRow.index }))
+    : allRows.map((row, index) => ({ row, index }));
+  const paddingTop = virtualized && virtualRows.length > 0 ? virtualRows[0].start : 0;
+  const paddingBottom =
+    virtualized && virtualRows.length > 0
+      ? rowVirtualizer.getTotalSize() - virtualRows[virtualRows.length - 1].end
+      : 0;
+  const columnCount = table.getVisibleLeafColumns().length;
+
+  const selectedRecords = table
+    .getPrePaginationRowModel()
+    .rows.filter((row) => row.getIsSelected())
+    .map((row) => row.original);
 
   return (
     <div className="p-4">
+        <div className="mb-2 flex justify-end items-center gap-2">
+            {selectedRecords.length > 0 && bulkActions.length > 0 && (
+                <div className="me-auto flex items-center gap-2 text-sm">
+                    <span className="text-gray-700">{selectedRecords.length} selected</span>
+                    {bulkActions.map((action) => (
+                        <button
+                            key={action.label}
+                            onClick={() => action.onClick(selectedRecords)}
+                            className={`px-3 py-1.5 rounded text-white ${
+                                action.danger ? 'bg-red-500 hover:bg-red-600' : 'bg-main'
+                            }`}
+                        >
+                            {action.label}
+                        </button>
+                    ))}
+                    <button
+                        onClick={() => table.resetRowSelection()}
+                        className="text-main"
+                    >
+                        Clear selection
+                    </button>
+                </div>
+            )}
+            {columnFilters.length > 0 && (
+                <button
+                    onClick={() => table.resetColumnFilters()}
+                    className="text-main text-sm"
+                >
+                    Clear filters ({columnFilters.length})
+                </button>
+            )}
+            <ColumnChooser table={table} onReset={resetLayout} />
+            <ExportMenu table={table} fileName={exportName} />
+        </div>
+        <div className="relative">
+        {loading && (
+            <div className="absolute inset-0 z-[2] flex items-center justify-center bg-white/60 text-main">
+                Loading...
+            </div>
+        )}
+        <div
+            ref={scrollRef}
+            className={virtualized ? 'overflow-auto border border-gray-200' : undefined}
+            style={virtualized ? { maxHeight: height } : undefined}
+        >
         <table className="w-full border-collapse border border-gray-200">
-            <thead>
+            <thead className={virtualized ? 'sticky top-0 z-[1]' : undefined}>
                 {table.getHeaderGroups().map((headerGroup) => (
                     <tr key={headerGroup.id} className="bg-gray-100"
                     
@@ -85,8 +406,14 @@ export default function Table({ data, columns,onRowClick}) {
                         {headerGroup.headers.map((header) => (
                             <th
                                 key={header.id}
-                                className="border border-gray-200 p-2 text-left cursor-pointer font-medium text-gray-700"
+                                className="relative border border-gray-200 p-2 text-left cursor-pointer font-medium text-gray-700"
                                 onClick={header.column.getToggleSortingHandler()}
+                                // Only columns the user has resized get a fixed width
+                                style={
+                                    layout.columnSizing[header.column.id]
+                                        ? { width: layout.columnSizing[header.column.id] }
+                                        : undefined
+                                }
                             >
                                 <div className="flex items-center space-x-1">
                                     {flexRender(header.column.columnDef.header, header.getContext())}
@@ -97,39 +424,105 @@ export default function Table({ data, columns,onRowClick}) {
                                         }[header.column.getIsSorted()] ?? '↕'}
                                     </span>
                                 </div>
+                                {header.column.getCanResize() && (
+                                    <div
+                                        onPointerDown={(e) => startResize(e, header.column)}
+                                        onClick={(e) => e.stopPropagation()}
+                                        onDoubleClick={() => header.column.resetSize()}
+                                        className={`absolute right-0 top-0 h-full w-1.5 cursor-col-resize select-none touch-none hover:bg-main ${
+                                            resizingId === header.column.id ? 'bg-main' : ''
+                                        }`}
+                                        title="Drag to resize, double-click to reset"
+                                    />
+                                )}
                             </th>
                         ))}
                     </tr>
                 ))}
+                {hasFilters && (
+                    <tr className="bg-gray-50">
+                        {table.getVisibleLeafColumns().map((column) => (
+                            <th key={column.id} className="border border-gray-200 p-1 font-normal">
+                                <ColumnFilter column={column} />
+                            </th>
+                        ))}
+                    </tr>
+                )}
             </thead>
-            <tbody className="bg-white">
-                {table.getRowModel().rows.map((row) => (
-                    <tr key={row.id} className="hover:bg-gray-50 pointer-cursor"
+            {/* One tbody per row, so a virtual row is measured with its expanded panel */}
+            {paddingTop > 0 && (
+                <tbody>
+                    <tr>
+                        <td colSpan={columnCount} style={{ height: paddingTop }} />
+                    </tr>
+                </tbody>
+            )}
+            {visibleRows.map(({ row, index }) => (
+                <tbody
+                    key={row.id}
+                    className="bg-white"
+                    data-index={index}
+                    ref={virtualized ? rowVirtualizer.measureElement : undefined}
+                >
+                    <tr className="hover:bg-gray-50 pointer-cursor"
                     onClick={(e) => {
                         
                         // Prevent row click when clicking on interactive elements (e.g., buttons, inputs)
                         if (
+                          editing?.id === row.id ||
                           e.target.tagName === 'BUTTON' ||
                           e.target.tagName === 'INPUT' ||
                           e.target.closest('button') ||
-                          e.target.closest('input')
+                          e.target.closest('input') ||
+                          e.target.closest('select')
                         ) {
                           return;
                         }
                        
-                          onRowClick(e, row.original);
+                          onRowClick?.(e, row.original);
                         
                       }}
                     >
                         {row.getVisibleCells().map((cell) => (
                             <td key={cell.id} className="border border-gray-200 p-2 text-gray-800">
-                                {flexRender(cell.column.columnDef.cell, cell.getContext())}
+                                {renderCell(cell)}
                             </td>
                         ))}
                     </tr>
-                ))}
-            </tbody>
+                    {row.getIsExpanded() && (
+                        <tr className="bg-gray-50">
+                            <td colSpan={columnCount} className="border border-gray-200 px-10 py-3">
+                                {renderSubRow(row.original)}
+                            </td>
+                        </tr>
+                    )}
+                </tbody>
+            ))}
+            {paddingBottom > 0 && (
+                <tbody>
+                    <tr>
+                        <td colSpan={columnCount} style={{ height: paddingBottom }} />
+                    </tr>
+                </tbody>
+            )}
+            {totalRows === 0 && (manual ? !loading : data.length > 0) && (
+                <tbody className="bg-white">
+                    <tr>
+                        <td
+                            colSpan={columnCount}
+                            className="border border-gray-200 p-4 text-center text-gray-500"
+                        >
+                            {manual ? 'No rows found.' : 'No rows match the filters.'}
+                        </td>
+                    </tr>
+                </tbody>
+            )}
         </table>
+        </div>
+        </div>
+        {virtualized ? (
+            <p className="mt-4 text-right text-main text-sm">{totalRows} rows</p>
+        ) : (
         <div className="mt-4 flex justify-end">
             <div className="bg-white p-2 border border-gray-200 rounded flex items-center space-x-1">
                 <button
@@ -162,6 +555,18 @@ export default function Table({ data, columns,onRowClick}) {
                         </option>
                     ))}
                 </select>
+                <select
+                    value={pageSize}
+                    onChange={(e) => table.setPageSize(Number(e.target.value))}
+                    className="border border-gray-300 rounded px-1 py-1 text-main text-sm"
+                    title="Rows per page"
+                >
+                    {[...new Set([...PAGE_SIZES, pageSize])].sort((a, b) => a - b).map((size) => (
+                        <option key={size} value={size}>
+                            {size} / page
+                        </option>
+                    ))}
+                </select>
                 <button
                     onClick={() => table.nextPage()}
                     disabled={!table.getCanNextPage()}
@@ -180,6 +585,7 @@ export default function Table({ data, columns,onRowClick}) {
                 </button>
             </div>
         </div>
+        )}
     </div>
   );
 }
\ No newline at end of file
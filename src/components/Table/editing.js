@@ -0,0 +1,69 @@
+// Inline row editing for Table. A column becomes editable with meta.editor:
+//   "text" | "number" | "select" (choices in meta.editOptions: [{ value, label }])
+//   | "address" (address_1, address_2, city, state and zip together)
+// Single-field editors change meta.editField, by default the accessorKey.
+// meta.validate(value, draft) returns an error message or nothing; for an
+// address the value is an object of its fields.
+
+export const ADDRESS_FIELDS = ["address_1", "address_2", "city", "state", "zip"];
+
+export const editFields = (column) => {
+  const { meta, accessorKey } = column.columnDef;
+  if (meta?.editor === "address") return ADDRESS_FIELDS;
+  return [meta?.editField ?? accessorKey ?? column.id];
+};
+
+export const editableColumns = (table) =>
+  table.getAllLeafColumns().filter((column) => column.columnDef.meta?.editor);
+
+// Draft values are what the inputs show: numbers as text, empty as ""
+export const startDraft = (columns, record) =>
+  Object.fromEntries(
+    columns.flatMap(editFields).map((field) => [field, record[field] ?? ""])
+  );
+
+const pick = (values, fields) => Object.fromEntries(fields.map((field) => [field, values[field]]));
+
+// Typed values of a draft: numbers parsed, text trimmed, empty as null
+export const parseDraft = (columns, draft) =>
+  Object.fromEntries(
+    columns.flatMap((column) =>
+      editFields(column).map((field) => {
+        const value = draft[field];
+        if (typeof value !== "string") return [field, value];
+        const trimmed = value.trim();
+        if (trimmed === "") return [field, null];
+        return [field, column.columnDef.meta.editor === "number" ? Number(trimmed) : trimmed];
+      })
+    )
+  );
+
+/**
+ * Error messages keyed by column id: each column's own validator first, then
+ * `validateRow` (field → message) attributed to the column editing that field.
+ *
+ * @param {Object} values - parsed draft merged over the record
+ */
+export const validateDraft = (columns, values, validateRow) => {
+  const errors = {};
+  columns.forEach((column) => {
+    const fields = editFields(column);
+    const value = column.columnDef.meta.editor === "address" ? pick(values, fields) : values[fields[0]];
+    const message = column.columnDef.meta.validate?.(value, values);
+    if (message) errors[column.id] = message;
+  });
+
+  Object.entries(validateRow?.(values) ?? {}).forEach(([field, message]) => {
+    const column = columns.find((candidate) => editFields(candidate).includes(field));
+    if (column && !errors[column.id]) errors[column.id] = message;
+  });
+  return errors;
+};
+
+// Fields whose value differs from the record, treating null and "" alike
+export const changedFields = (record, values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(
+      ([field, value]) => (record[field] ?? null) !== (value ?? null) && !(record[field] === "" && value === null)
+    )
+  );
@@ -0,0 +1,122 @@
+// src/components/Table/exportTable.js
+// Turns the rows of a TanStack table into CSV, JSON or XLSX downloads. Only
+// data columns are exported (display columns such as the selection checkbox
+// and row actions are skipped), under their header text and with the same
+// formatting as their `cell` renderer. A column can override either with
+// `meta.exportHeader` / `meta.exportValue(row)`, or opt out with
+// `meta.export: false`.
+import { isValidElement } from "react";
+import { toCsv } from "../../utils/csv";
+import { toXlsx } from "../../utils/xlsx";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV" },
+  { id: "json", label: "JSON" },
+  { id: "xlsx", label: "Excel (XLSX)" },
+];
+
+// Text content of a rendered cell, or null when it can't be read without
+// rendering (function components may use hooks) or is a form control
+const textOf = (node) => {
+  if (node === null || node === undefined || typeof node === "boolean") return "";
+  if (typeof node === "string" || typeof node === "number") return String(node);
+  if (Array.isArray(node)) {
+    const parts = node.map(textOf);
+    return parts.includes(null) ? null : parts.join("");
+  }
+  if (isValidElement(node)) {
+    if (typeof node.type === "function" || typeof node.type === "object") return null;
+    // A row being edited exports its saved value, not the draft
+    if (["input", "textarea", "select"].includes(node.type)) return null;
+    return textOf(node.props.children);
+  }
+  return null;
+};
+
+const isExported = (column) =>
+  Boolean(column.accessorFn) && column.columnDef.meta?.export !== false;
+
+const headerText = (column) => {
+  const { header, meta } = column.columnDef;
+  if (meta?.exportHeader) return meta.exportHeader;
+  return typeof header === "string" ? header : column.id;
+};
+
+const cellValue = (cell) => {
+  const { cell: render, meta } = cell.column.columnDef;
+  if (meta?.exportValue) return meta.exportValue(cell.row.original);
+
+  const value = cell.getValue();
+  if (typeof render !== "function") return value ?? "";
+
+  const rendered = render(cell.getContext());
+  if (typeof rendered === "number") return rendered;
+  const text = textOf(rendered);
+  // Keep the raw value (e.g. a number) when the cell just prints it
+  if (text === null || text === String(value ?? "")) return value ?? "";
+  return text;
+};
+
+/**
+ * Header row plus one row of cell values per table row.
+ *
+ * @param {import("@tanstack/react-table").Table} table
+ * @param {"view" | "selected"} scope - every filtered/sorted row, or only the selected ones
+ */
+export const getExportRows = (table, scope) => {
+  const columns = table.getVisibleLeafColumns().filter(isExported);
+  const rows = table
+    .getPrePaginationRowModel()
+    .rows.filter((row) => scope !== "selected" || row.getIsSelected());
+
+  const cellsById = (row) =>
+    new Map(row.getVisibleCells().map((cell) => [cell.column.id, cell]));
+
+  return [
+    columns.map(headerText),
+    ...rows.map((row) => {
+      const cells = cellsById(row);
+      return columns.map((column) => cellValue(cells.get(column.id)));
+    }),
+  ];
+};
+
+const download = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const exportTable = (table, { format, scope = "view", fileName = "export" }) => {
+  const [headers, ...rows] = getExportRows(table, scope);
+
+  switch (format) {
+    case "csv":
+      // The BOM makes Excel read the file as UTF-8
+      return download(
+        new Blob(["\uFEFF", toCsv([headers, ...rows])], { type: "text/csv;charset=utf-8" }),
+        `${fileName}.csv`
+      );
+    case "json": {
+      const records = rows.map((cells) =>
+        headers.reduce((record, header, index) => {
+          record[header] = cells[index];
+          return record;
+        }, {})
+      );
+      return download(
+        new Blob([JSON.stringify(records, null, 2)], { type: "application/json" }),
+        `${fileName}.json`
+      );
+    }
+    case "xlsx":
+      return download(toXlsx([headers, ...rows], fileName), `${fileName}.xlsx`);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+};
@@ -0,0 +1,52 @@
+// src/components/Table/filters.js
+// Column filters for Table. A column opts in with `meta.filterVariant`:
+//   "select" - multi-select facet of the column's distinct values, with counts
+//   "range"  - numeric min/max
+//   "text"   - case-insensitive "contains"
+// and gets the matching filterFn unless it defines its own. In manual mode the
+// filters are sent to the data source instead; a select filter then lists
+// `meta.filterOptions`, as the table only holds one page to take facets from.
+
+const isEmptyFilter = (value) => !Array.isArray(value) || value.length === 0;
+
+// Row matches when its value is one of the selected facet values
+const includesValue = (row, columnId, filterValue) =>
+  filterValue.includes(row.getValue(columnId));
+includesValue.autoRemove = isEmptyFilter;
+
+export const FILTER_FNS = { includesValue };
+
+const DEFAULT_FILTER_FNS = {
+  select: "includesValue",
+  range: "inNumberRange",
+  text: "includesString",
+};
+
+export const withFilterFn = (column) => {
+  const variant = column.meta?.filterVariant;
+  if (!variant) return { ...column, enableColumnFilter: false };
+  return column.filterFn ? column : { ...column, filterFn: DEFAULT_FILTER_FNS[variant] };
+};
+
+const QUERY_OPS = { select: "in", range: "range", text: "contains" };
+
+// Field a column sorts and filters on server-side (meta.queryField, else its id)
+const queryField = (column) => column?.columnDef.meta?.queryField ?? column?.id;
+
+// The table's paging, sorting and filter state as a data-source query (see
+// services/query.js), for manual mode
+export const toQuery = (table, { pagination, sorting, columnFilters }) => ({
+  pageIndex: pagination.pageIndex,
+  pageSize: pagination.pageSize,
+  sorting: sorting.map(({ id, desc }) => ({ id: queryField(table.getColumn(id)), desc })),
+  filters: columnFilters
+    .map(({ id, value }) => {
+      const column = table.getColumn(id);
+      return {
+        field: queryField(column),
+        op: QUERY_OPS[column?.columnDef.meta?.filterVariant],
+        value,
+      };
+    })
+    .filter((filter) => filter.op),
+});
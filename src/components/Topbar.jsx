@@ -2,11 +2,25 @@ import React from "react";
 import { useLocation } from "react-router-dom";
 import usrImg from "../assets/usr.png";
 import { useAuth } from "../contexts/AuthProvider";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, Link } from "react-router-dom";
+import useLibraryData from "../hooks/useLibraryData";
+import useLibrary from "../hooks/useLibrary";
 const Topbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
+  const { resetToSeed } = useLibraryData();
+  const { issues } = useLibrary();
   const navigate = useNavigate();
 
+  const handleReset = () => {
+    if (
+      window.confirm(
+        "Reset all stores, authors, books and inventory to the original seed data? Your changes will be lost."
+      )
+    ) {
+      resetToSeed();
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate("/");
@@ -43,6 +57,10 @@ const Topbar = () => {
       title: "Browse Authors",
       subtitle: "Shop > Authors",
     },
+    "/data-issues": {
+      title: "Data Issues",
+      subtitle: "Admin > Data Issues",
+    },
   };
 
   return (
@@ -54,10 +72,24 @@ const Topbar = () => {
         </p>
       </div>
       <div className="flex-1 flex justify-end items-center gap-4">
+        {issues.length > 0 && (
+          <Link
+            to="/data-issues"
+            className="text-red-700 bg-red-50 border border-red-200 px-3 py-1 rounded"
+          >
+            {issues.length} data {issues.length === 1 ? "issue" : "issues"}
+          </Link>
+        )}
         {isAuthenticated ? (
           <>
             <img src={usrImg} alt="profile" className="rounded" />
             <p className="text-secondary-text">{user.name}</p>
+            <button
+              onClick={handleReset}
+              className="text-main border border-main bg-white px-4 py-1 rounded"
+            >
+              Reset Data
+            </button>
             <button
               onClick={handleLogout}
               className="bg-red-500 text-white px-4 py-1 rounded hover:bg-red-600"
@@ -0,0 +1,94 @@
+// Responsive card grid that only renders the rows in (or near) view. Columns
+// are as many as fit at `minColumnWidth`; row heights are measured, so cards
+// may vary in height. Scrolls with the nearest scrollable ancestor (the
+// layout's <main>), so it can sit in a normal page.
+import React, { useLayoutEffect, useRef, useState } from "react";
+import { useVirtualizer } from "@tanstack/react-virtual";
+
+const findScrollParent = (element) => {
+  for (let node = element?.parentElement; node; node = node.parentElement) {
+    const { overflowY } = getComputedStyle(node);
+    if (overflowY === "auto" || overflowY === "scroll") return node;
+  }
+  return document.scrollingElement;
+};
+
+const VirtualGrid = ({
+  items,
+  renderItem,
+  getKey = (item, index) => item.id ?? index,
+  minColumnWidth = 320,
+  estimateRowHeight = 220,
+  gap = 24,
+}) => {
+  const containerRef = useRef(null);
+  const [scrollElement, setScrollElement] = useState(null);
+  const [width, setWidth] = useState(0);
+  const [scrollMargin, setScrollMargin] = useState(0);
+
+  // Track the grid's width and its offset inside the scroll container
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const scrollParent = findScrollParent(container);
+    setScrollElement(scrollParent);
+
+    const measure = () => {
+      setWidth(container.clientWidth);
+      setScrollMargin(
+        container.getBoundingClientRect().top -
+          scrollParent.getBoundingClientRect().top +
+          scrollParent.scrollTop
+      );
+    };
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const columns = Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+  const rowCount = Math.ceil(items.length / columns);
+
+  const virtualizer = useVirtualizer({
+    count: rowCount,
+    getScrollElement: () => scrollElement,
+    estimateSize: () => estimateRowHeight + gap,
+    overscan: 3,
+    scrollMargin,
+  });
+
+  return (
+    <div ref={containerRef} className="w-full">
+      <div className="relative w-full" style={{ height: virtualizer.getTotalSize() }}>
+        {virtualizer.getVirtualItems().map((row) => {
+          const rowItems = items.slice(row.index * columns, (row.index + 1) * columns);
+          return (
+            <div
+              key={row.key}
+              data-index={row.index}
+              ref={virtualizer.measureElement}
+              className="absolute left-0 top-0 w-full grid"
+              style={{
+                transform: `translateY(${row.start - scrollMargin}px)`,
+                gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+                columnGap: gap,
+                paddingBottom: gap,
+              }}
+            >
+              {rowItems.map((item, offset) => {
+                const index = row.index * columns + offset;
+                return (
+                  <React.Fragment key={getKey(item, index)}>
+                    {renderItem(item, index)}
+                  </React.Fragment>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualGrid;
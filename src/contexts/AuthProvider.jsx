@@ -1,10 +1,12 @@
 // handle auth provider logic here
 import React, { createContext, useContext, useState, useEffect } from "react";
+import useLibrary from "../hooks/useLibrary";
 
 const AuthContext = createContext(undefined);
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const { repositories, load } = useLibrary();
 
   useEffect(() => {
     const storedUser = localStorage.getItem("authenticatedUser");
@@ -19,10 +21,8 @@ export const AuthProvider = ({ children }) => {
 
   const login = async (username, password) => {
     try {
-      const response = await fetch("/data/users.json");
-      const usersData = await response.json();
-
-      const foundUser = usersData.find(
+      await load(["users"]);
+      const foundUser = repositories.users.getAll().find(
         (u) => u.username === username && u.password === password
       );
 
@@ -0,0 +1,7 @@
+import { createContext } from "react";
+
+// Text fragments the current search matched; <Highlight> marks them. Pages
+// provide it around their table or grid of search results.
+const HighlightContext = createContext([]);
+
+export default HighlightContext;
@@ -0,0 +1,7 @@
+import { createContext } from "react";
+
+// The shared library store (services/libraryStore.js); LibraryProvider
+// creates it and useLibrary reads it
+const LibraryContext = createContext(undefined);
+
+export default LibraryContext;
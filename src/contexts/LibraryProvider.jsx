@@ -0,0 +1,22 @@
+// Shared catalog store: one copy of books, authors, stores, inventory and users
+import React, { useEffect, useState } from "react";
+import { createLibraryStore } from "../services/libraryStore";
+import { configureRules } from "../services/integrity";
+import LibraryContext from "./LibraryContext";
+
+// rules: integrity rule overrides, { parent: { child: "block" | "cascade" |
+// "reassign" } } (see services/integrity.js); read once, when the store is
+// created. Without it VITE_INTEGRITY_RULES or the defaults apply.
+export const LibraryProvider = ({ children, rules }) => {
+  const [store] = useState(() =>
+    createLibraryStore(undefined, { rules: rules && configureRules(rules) })
+  );
+
+  useEffect(() => {
+    store.load();
+  }, [store]);
+
+  return (
+    <LibraryContext.Provider value={store}>{children}</LibraryContext.Provider>
+  );
+};
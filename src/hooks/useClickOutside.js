@@ -0,0 +1,15 @@
+import { useEffect } from "react";
+
+// Call onOutside when a mousedown lands outside ref's element, while active
+const useClickOutside = (ref, onOutside, active = true) => {
+  useEffect(() => {
+    if (!active) return undefined;
+    const handleMouseDown = (e) => {
+      if (!ref.current?.contains(e.target)) onOutside();
+    };
+    document.addEventListener("mousedown", handleMouseDown);
+    return () => document.removeEventListener("mousedown", handleMouseDown);
+  }, [ref, onOutside, active]);
+};
+
+export default useClickOutside;
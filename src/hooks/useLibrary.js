@@ -0,0 +1,38 @@
+import { useContext, useMemo, useSyncExternalStore } from "react";
+import LibraryContext from "../contexts/LibraryContext";
+
+// The shared catalog and its repositories; re-renders whenever any collection
+// changes
+const useLibrary = () => {
+  const store = useContext(LibraryContext);
+  if (!store) {
+    throw new Error("useLibrary must be used within a LibraryProvider");
+  }
+
+  const state = useSyncExternalStore(store.subscribe, store.getState);
+
+  const repositories = useMemo(
+    () => ({
+      books: store.books,
+      authors: store.authors,
+      stores: store.stores,
+      inventory: store.inventory,
+      users: store.users,
+    }),
+    [store]
+  );
+
+  return {
+    ...state,
+    dataSource: store.dataSource,
+    repositories,
+    reset: store.reset,
+    load: store.load,
+    retry: store.retry,
+    clearError: store.clearError,
+    discardIssue: store.discardIssue,
+    resolveIssue: store.resolveIssue,
+  };
+};
+
+export default useLibrary;
@@ -1,35 +1,47 @@
 // src/hooks/useLibraryData.js
-import { useEffect, useState, useMemo } from 'react';
-
-const useLibraryData = ({ storeId = null, searchTerm = '' } = {}) => {
-  // State for data
-  const [books, setBooks] = useState([]);
-  const [authors, setAuthors] = useState([]);
-  const [stores, setStores] = useState([]);
-  const [inventory, setInventory] = useState([]);
-
-  // Fetch all data
-  useEffect(() => {
-    fetch('/data/stores.json')
-      .then((response) => response.json())
-      .then((data) => setStores(Array.isArray(data) ? data : [data]))
-      .catch((error) => console.error('Error fetching stores:', error));
-
-    fetch('/data/books.json')
-      .then((response) => response.json())
-      .then((data) => setBooks(Array.isArray(data) ? data : [data]))
-      .catch((error) => console.error('Error fetching books:', error));
-
-    fetch('/data/authors.json')
-      .then((response) => response.json())
-      .then((data) => setAuthors(Array.isArray(data) ? data : [data]))
-      .catch((error) => console.error('Error fetching authors:', error));
-
-    fetch('/data/inventory.json')
-      .then((response) => response.json())
-      .then((data) => setInventory(Array.isArray(data) ? data : [data]))
-      .catch((error) => console.error('Error fetching inventory:', error));
-  }, []);
+import { useMemo, useCallback } from 'react';
+import useLibrary from './useLibrary';
+import { SEARCH_FIELDS, createSearchIndex } from '../services/search';
+
+const CATALOG = ['books', 'authors', 'stores', 'inventory'];
+
+// Overall status of several resources: any error wins, then any pending load
+const combineStatus = (resources, names) => {
+  const states = names.map((name) => resources[name]);
+  if (states.some((resource) => resource.status === 'error')) return 'error';
+  if (states.every((resource) => resource.status === 'success')) return 'success';
+  return 'loading';
+};
+
+// `requires` lists the collections the caller renders; status, error and
+// retry only consider those
+const useLibraryData = ({ storeId = null, searchTerm = '', requires = CATALOG } = {}) => {
+  // Shared collections and their repositories
+  const {
+    books,
+    authors,
+    stores,
+    inventory,
+    indexes,
+    resources,
+    repositories,
+    reset,
+    retry: retryResources,
+  } = useLibrary();
+
+  const requiredKey = requires.join(',');
+  const status = combineStatus(resources, requires);
+  const error =
+    requires.map((name) => resources[name].error).find(Boolean) || null;
+
+  // Reload whichever required resources failed
+  const retry = useCallback(
+    () =>
+      retryResources(
+        requiredKey.split(',').filter((name) => resources[name].status === 'error')
+      ),
+    [retryResources, requiredKey, resources]
+  );
 
   // Create lookup maps
   const authorMap = useMemo(() => {
@@ -46,63 +58,74 @@ const useLibraryData = ({ storeId = null, searchTerm = '' } = {}) => {
     }, {});
   }, [stores]);
 
-  // Filter books for a specific store (for Inventory page)
-  const storeBooks = useMemo(() => {
-    if (!storeId) return books;
-
-    const storeInventory = inventory.filter((item) => item.store_id === parseInt(storeId, 10));
-
-    let filteredBooks = books
-      .filter((book) => storeInventory.some((item) => item.book_id === book.id))
-      .map((book) => {
-        const inventoryItem = storeInventory.find((item) => item.book_id === book.id);
-        return { ...book, price: inventoryItem ? inventoryItem.price : null };
-      });
-
-    if (searchTerm.trim()) {
-      const lowerSearch = searchTerm.toLowerCase();
-      filteredBooks = filteredBooks.filter((book) =>
-        Object.values({ ...book, author_name: authorMap[book.author_id]?.name || 'Unknown Author' })
-          .some((value) => String(value).toLowerCase().includes(lowerSearch))
-      );
-    }
-
-    return filteredBooks;
-  }, [storeId, books, inventory, searchTerm, authorMap]);
-
-  // Map books to their stores (for Browse page)
+  // Search over the books of a specific store, with their price (for Inventory page)
+  const searchStoreBooks = useMemo(() => {
+    if (!storeId) return () => ({ records: books, fragments: [] });
+
+    const storeInventory = indexes.inventoryByStore.get(parseInt(storeId, 10)) || [];
+
+    const inventoryBooks = storeInventory
+      .map((item) => {
+        const book = indexes.booksById.get(item.book_id);
+        return book && { ...book, price: item.price };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id);
+
+    return createSearchIndex(inventoryBooks, SEARCH_FIELDS.inventory, (book) => ({
+      ...book,
+      author_name: authorMap[book.author_id]?.name || 'Unknown Author',
+    }));
+  }, [storeId, books, indexes, authorMap]);
+
+  // Store books ranked by the search term, and the fragments it matched
+  const { records: storeBooks, fragments: storeBooksHighlight } = useMemo(
+    () => searchStoreBooks(searchTerm),
+    [searchStoreBooks, searchTerm]
+  );
+
+  // Map books to their stores (for Browse page and the books table's
+  // availability rows)
   const booksWithStores = useMemo(() => {
     return books.map((book) => {
-      const bookInventory = inventory.filter((item) => item.book_id === book.id);
+      const bookInventory = indexes.inventoryByBook.get(book.id) || [];
       const bookStores = bookInventory.map((item) => ({
+        id: item.store_id,
         name: storeMap[item.store_id]?.name || 'Unknown Store',
         price: item.price,
       }));
 
       return {
+        id: book.id,
         title: book.name,
         author: authorMap[book.author_id]?.name || 'Unknown Author',
         stores: bookStores,
       };
     });
-  }, [books, inventory, authorMap, storeMap]);
+  }, [books, indexes, authorMap, storeMap]);
 
-  // Loading state
-  const isLoading = !books.length || !authors.length || !stores.length || !inventory.length;
+  // Loading state; an empty collection that loaded fine is not "loading"
+  const isLoading = status === 'loading';
 
   return {
     books,
-    setBooks,
     authors,
     stores,
     inventory,
-    setInventory,
+    indexes,
+    repositories,
+    resetToSeed: reset,
     authorMap,
     storeMap,
     storeBooks,
+    storeBooksHighlight,
     booksWithStores,
+    status,
+    error,
+    retry,
+    resources,
     isLoading,
-    currentStore: stores.find((store) => store.id === parseInt(storeId, 10)),
+    currentStore: indexes.storesById.get(parseInt(storeId, 10)),
   };
 };
 
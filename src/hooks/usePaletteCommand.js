@@ -0,0 +1,25 @@
+import { useEffect, useRef } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+
+// Runs `handler` when the page was opened by a command palette action such as
+// "Add book" (navigation state { command }), then clears the state so a
+// reload or back navigation doesn't run it again
+const usePaletteCommand = (command, handler, enabled = true) => {
+  const { pathname, search, state } = useLocation();
+  const navigate = useNavigate();
+
+  // The handler is usually an inline setter call, new on every render; the
+  // request runs the latest one without re-running the effect
+  const handlerRef = useRef(handler);
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (state?.command !== command || !enabled) return;
+    handlerRef.current();
+    navigate(`${pathname}${search}`, { replace: true, state: null });
+  }, [state, command, enabled, pathname, search, navigate]);
+};
+
+export default usePaletteCommand;
@@ -0,0 +1,15 @@
+import { useMemo } from "react";
+import { SEARCH_FIELDS, createSearchIndex } from "../services/search";
+
+// Ranked search over `records` with the fields of `scope` (see
+// services/search.js). The index is rebuilt only when the records change, so
+// `toSearchable` should be a stable function.
+const useSearch = (records, query, scope, toSearchable) => {
+  const search = useMemo(
+    () => createSearchIndex(records, SEARCH_FIELDS[scope], toSearchable),
+    [records, scope, toSearchable]
+  );
+  return useMemo(() => search(query), [search, query]);
+};
+
+export default useSearch;
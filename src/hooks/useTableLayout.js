@@ -0,0 +1,74 @@
+import { useCallback, useState } from "react";
+import { useAuth } from "../contexts/AuthProvider";
+
+// Column visibility, order and widths of a Table, saved in localStorage per
+// signed-in user (or "guest") and per table id. Without a table id the layout
+// only lives as long as the component.
+const STORAGE_PREFIX = "ovarc-library:table-layout";
+
+const EMPTY_LAYOUT = { columnVisibility: {}, columnOrder: [], columnSizing: {} };
+
+const storageKey = (userId, tableId) =>
+  tableId ? `${STORAGE_PREFIX}:${userId ?? "guest"}:${tableId}` : null;
+
+const readLayout = (key, defaultLayout) => {
+  const fallback = { ...EMPTY_LAYOUT, ...defaultLayout };
+  if (!key) return fallback;
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return stored ? { ...fallback, ...stored } : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeLayout = (key, layout) => {
+  if (!key) return;
+  try {
+    localStorage.setItem(key, JSON.stringify(layout));
+  } catch (error) {
+    console.error("Could not save the table layout:", error);
+  }
+};
+
+/**
+ * @param {string} [tableId]
+ * @param {{ columnVisibility?: Object, columnOrder?: string[] }} [defaultLayout]
+ *   used until the user changes the layout
+ */
+const useTableLayout = (tableId, defaultLayout) => {
+  const { user } = useAuth();
+  const key = storageKey(user?.id, tableId);
+  const [saved, setSaved] = useState(() => ({ key, layout: readLayout(key, defaultLayout) }));
+
+  // Signing in or out switches to that user's layout
+  let current = saved;
+  if (saved.key !== key) {
+    current = { key, layout: readLayout(key, defaultLayout) };
+    setSaved(current);
+  }
+
+  // TanStack-style change handler for one part of the layout
+  const onChange = useCallback(
+    (part) => (updater) =>
+      setSaved((prev) => {
+        const value =
+          typeof updater === "function" ? updater(prev.layout[part]) : updater;
+        const layout = { ...prev.layout, [part]: value };
+        writeLayout(prev.key, layout);
+        return { ...prev, layout };
+      }),
+    []
+  );
+
+  const resetLayout = useCallback(() => {
+    setSaved((prev) => {
+      if (prev.key) localStorage.removeItem(prev.key);
+      return { ...prev, layout: { ...EMPTY_LAYOUT, ...defaultLayout } };
+    });
+  }, [defaultLayout]);
+
+  return { layout: current.layout, onChange, resetLayout };
+};
+
+export default useTableLayout;
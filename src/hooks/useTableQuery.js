@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from "react";
+import useLibrary from "./useLibrary";
+
+// Feeds a Table in manual mode: runs the table's query (plus a free-text
+// search) against the data source and returns one page and the total count.
+// `refreshKey` re-runs the query when it changes, e.g. after an edit.
+const useTableQuery = (collection, { enabled = true, search = "", refreshKey } = {}) => {
+  const { repositories } = useLibrary();
+  const [query, setQuery] = useState(null);
+  const [result, setResult] = useState({ records: [], total: 0 });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!enabled || !query) return undefined;
+    // Ignore responses that arrive after a newer query was sent
+    let current = true;
+    setLoading(true);
+    repositories[collection]
+      .query({ ...query, search })
+      .then(
+        (next) => {
+          if (!current) return;
+          setResult(next);
+          setError(null);
+        },
+        (queryError) => {
+          if (current) setError(queryError);
+        }
+      )
+      .finally(() => {
+        if (current) setLoading(false);
+      });
+    return () => {
+      current = false;
+    };
+  }, [repositories, collection, enabled, query, search, refreshKey, attempt]);
+
+  const retry = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return {
+    data: result.records,
+    rowCount: result.total,
+    loading,
+    error,
+    retry,
+    onQueryChange: setQuery,
+  };
+};
+
+export default useTableQuery;
@@ -0,0 +1,78 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { formatSorting, parseSorting } from "../services/query";
+
+// Sorting and pagination of a Table, mirrored into the URL so a view can be
+// shared and is still there after leaving the page and coming back. Params
+// are namespaced by table id and defaults are left out:
+//   ?stores.sort=-name,city&stores.page=7&stores.size=25   (page is 1-based)
+// Without a table id the state is only kept in the component.
+export const PAGE_SIZES = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = PAGE_SIZES[0];
+
+const readState = (params, tableId) => {
+  const page = Number(params.get(`${tableId}.page`));
+  const size = Number(params.get(`${tableId}.size`));
+  return {
+    sorting: tableId ? parseSorting(params.get(`${tableId}.sort`)) : [],
+    pagination: {
+      pageIndex: tableId && Number.isInteger(page) && page > 1 ? page - 1 : 0,
+      pageSize: tableId && Number.isInteger(size) && size > 0 ? size : DEFAULT_PAGE_SIZE,
+    },
+  };
+};
+
+const writeState = (params, tableId, { sorting, pagination }) => {
+  const next = new URLSearchParams(params);
+  const set = (name, value) =>
+    value ? next.set(`${tableId}.${name}`, value) : next.delete(`${tableId}.${name}`);
+  set("sort", formatSorting(sorting));
+  set("page", pagination.pageIndex > 0 ? String(pagination.pageIndex + 1) : "");
+  set("size", pagination.pageSize !== DEFAULT_PAGE_SIZE ? String(pagination.pageSize) : "");
+  return next;
+};
+
+// This table's params only, to compare the URL with the state
+const stateKey = (tableId, state) =>
+  tableId ? writeState(new URLSearchParams(), tableId, state).toString() : "";
+
+const useTableUrlState = (tableId) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [state, setState] = useState(() => readState(searchParams, tableId));
+
+  const urlKey = stateKey(tableId, readState(searchParams, tableId));
+  const currentKey = stateKey(tableId, state);
+  // Key of the state the URL and the component last agreed on; a state that
+  // differs from it was changed here and goes to the URL, while a URL that
+  // differs was changed from outside and is followed
+  const syncedKey = useRef(urlKey);
+
+  // Follow the URL when it changes from outside (a link, back/forward)
+  useEffect(() => {
+    syncedKey.current = urlKey;
+    setState((prev) =>
+      stateKey(tableId, prev) === urlKey ? prev : readState(new URLSearchParams(urlKey), tableId)
+    );
+  }, [tableId, urlKey]);
+
+  // Write changes back without adding a history entry per click
+  useEffect(() => {
+    if (!tableId || currentKey === syncedKey.current) return;
+    syncedKey.current = currentKey;
+    setSearchParams((prev) => writeState(prev, tableId, state), { replace: true });
+  }, [tableId, currentKey, state, setSearchParams]);
+
+  // TanStack-style change handlers
+  const setters = useMemo(() => {
+    const update = (part) => (updater) =>
+      setState((prev) => ({
+        ...prev,
+        [part]: typeof updater === "function" ? updater(prev[part]) : updater,
+      }));
+    return { setSorting: update("sorting"), setPagination: update("pagination") };
+  }, []);
+
+  return { ...state, ...setters };
+};
+
+export default useTableUrlState;
@@ -0,0 +1,198 @@
+// src/pages/AuthorProfile.jsx
+import { useMemo } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import Table from "../components/Table/Table";
+import ErrorState from "../components/ErrorState";
+import EmptyState from "../components/EmptyState";
+import useLibraryData from "../hooks/useLibraryData";
+import Loading from "./Loading";
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const bookColumns = [
+  { header: "Title", accessorKey: "name", meta: { filterVariant: "text" } },
+  { header: "Language", accessorKey: "language", meta: { filterVariant: "select" } },
+  { header: "Format", accessorKey: "format", meta: { filterVariant: "select" } },
+  { header: "Pages", accessorKey: "page_count", meta: { filterVariant: "range" } },
+  { header: "Stores", accessorKey: "store_count", meta: { filterVariant: "range" } },
+  {
+    header: "Lowest Price",
+    accessorKey: "lowest_price",
+    sortUndefined: "last",
+    cell: ({ getValue }) => (getValue() === undefined ? "—" : formatPrice(getValue())),
+  },
+];
+
+const storeColumns = [
+  { header: "Store", accessorKey: "name", meta: { filterVariant: "text" } },
+  { header: "Titles", accessorKey: "titles", meta: { filterVariant: "range" } },
+  {
+    header: "Average Price",
+    accessorKey: "average_price",
+    meta: { filterVariant: "range" },
+    cell: ({ getValue }) => formatPrice(getValue()),
+  },
+];
+
+const AuthorProfile = () => {
+  const { authorId } = useParams();
+  const navigate = useNavigate();
+  const { indexes, authorMap, storeMap, status, error, retry } = useLibraryData({
+    requires: ["authors", "books", "stores", "inventory"],
+  });
+
+  const id = parseInt(authorId, 10);
+  const author = authorMap[id];
+
+  // The author's books with how widely and how cheaply they are stocked
+  const bibliography = useMemo(
+    () =>
+      (indexes.booksByAuthor.get(id) || []).map((book) => {
+        const bookInventory = indexes.inventoryByBook.get(book.id) || [];
+        const prices = bookInventory.map((item) => item.price);
+        return {
+          ...book,
+          store_count: new Set(bookInventory.map((item) => item.store_id)).size,
+          lowest_price: prices.length > 0 ? Math.min(...prices) : undefined,
+        };
+      }),
+    [indexes, id]
+  );
+
+  // Every inventory record of those books
+  const listings = useMemo(
+    () => bibliography.flatMap((book) => indexes.inventoryByBook.get(book.id) || []),
+    [bibliography, indexes]
+  );
+
+  const stockedIn = useMemo(() => {
+    const byStore = new Map();
+    listings.forEach((item) => {
+      const entry = byStore.get(item.store_id) || {
+        id: item.store_id,
+        name: storeMap[item.store_id]?.name || "Unknown Store",
+        bookIds: new Set(),
+        total: 0,
+        count: 0,
+      };
+      entry.bookIds.add(item.book_id);
+      entry.total += item.price;
+      entry.count += 1;
+      byStore.set(item.store_id, entry);
+    });
+    return [...byStore.values()].map(({ bookIds, total, count, ...entry }) => ({
+      ...entry,
+      titles: bookIds.size,
+      average_price: total / count,
+    }));
+  }, [listings, storeMap]);
+
+  const priceStats = useMemo(() => {
+    const prices = listings.map((item) => item.price);
+    if (prices.length === 0) return null;
+    return [
+      { label: "Listings", value: prices.length },
+      { label: "Lowest", value: formatPrice(Math.min(...prices)) },
+      { label: "Highest", value: formatPrice(Math.max(...prices)) },
+      { label: "Average", value: formatPrice(prices.reduce((sum, price) => sum + price, 0) / prices.length) },
+      { label: "Median", value: formatPrice(median(prices)) },
+    ];
+  }, [listings]);
+
+  const languages = [...new Set(bibliography.map((book) => book.language).filter(Boolean))];
+
+  if (status === "loading") {
+    return <Loading />;
+  }
+
+  if (status === "error") {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (!author) {
+    return <EmptyState message="This author does not exist." />;
+  }
+
+  return (
+    <div className="py-6 flex flex-col gap-6">
+      <div>
+        <h2 className="text-2xl font-bold text-gray-800">{author.name}</h2>
+        <dl className="grid grid-cols-[max-content_1fr] gap-x-6 gap-y-1 mt-2 text-gray-700">
+          <dt className="text-gray-500">Email</dt>
+          <dd>
+            {author.email ? (
+              <a href={`mailto:${author.email}`} className="text-main hover:underline">
+                {author.email}
+              </a>
+            ) : (
+              "—"
+            )}
+          </dd>
+          <dt className="text-gray-500">Nationality</dt>
+          <dd>{author.nationality || "—"}</dd>
+          <dt className="text-gray-500">Books</dt>
+          <dd>
+            {bibliography.length}
+            {languages.length > 0 && ` in ${languages.join(", ")}`}
+          </dd>
+        </dl>
+      </div>
+
+      <section>
+        <h3 className="text-lg font-medium text-gray-800 mb-2">Prices across stores</h3>
+        {priceStats ? (
+          <div className="flex flex-wrap gap-4">
+            {priceStats.map((stat) => (
+              <div key={stat.label} className="bg-white rounded-lg shadow-sm px-4 py-3 min-w-28">
+                <p className="text-sm text-gray-500">{stat.label}</p>
+                <p className="text-lg font-medium text-gray-800">{stat.value}</p>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-gray-600">None of this author's books are stocked.</p>
+        )}
+      </section>
+
+      <section>
+        <h3 className="text-lg font-medium text-gray-800 mb-2">Bibliography</h3>
+        {bibliography.length > 0 ? (
+          <Table
+            data={bibliography}
+            columns={bookColumns}
+            exportName={`${author.name} books`}
+            tableId="author-books"
+            onRowClick={(e, book) => navigate(`/book/${book.id}`)}
+          />
+        ) : (
+          <p className="text-gray-600">No books by this author yet.</p>
+        )}
+      </section>
+
+      {stockedIn.length > 0 && (
+        <section>
+          <h3 className="text-lg font-medium text-gray-800 mb-2">Stocked in</h3>
+          <Table
+            data={stockedIn}
+            columns={storeColumns}
+            exportName={`${author.name} stores`}
+            tableId="author-stores"
+            onRowClick={(e, store) => navigate(`/store/${store.id}`)}
+          />
+        </section>
+      )}
+
+      <Link to="/author" className="text-main hover:underline self-start">
+        Back to authors
+      </Link>
+    </div>
+  );
+};
+
+export default AuthorProfile;
@@ -2,22 +2,54 @@ import React, { useEffect, useMemo, useState, useCallback } from "react";
 import Header from "../components/Header";
 import Loading from "./Loading";
 import Table from "../components/Table/Table";
-import { useSearchParams } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthProvider";
 import Modal from "../components/Modal";
 import TableActions from "../components/ActionButton/TableActions";
+import useLibraryData from "../hooks/useLibraryData";
+import DeleteConfirmation from "../components/DeleteConfirmation";
+import { fieldErrors } from "../services/schemas";
+import useSearch from "../hooks/useSearch";
+import HighlightContext from "../contexts/HighlightContext";
+import ImportWizard from "../components/ImportWizard";
+import ErrorState from "../components/ErrorState";
+import EmptyState from "../components/EmptyState";
+import usePaletteCommand from "../hooks/usePaletteCommand";
+
+const EMPTY_AUTHOR = { first_name: "", last_name: "", email: "", nationality: "" };
+
+// Fields of the new author form
+const AUTHOR_FIELDS = [
+  { name: "first_name", label: "First Name", placeholder: "Enter First Name" },
+  { name: "last_name", label: "Last Name", placeholder: "Enter Last Name" },
+  { name: "email", label: "Email", placeholder: "name@example.com", type: "email" },
+  { name: "nationality", label: "Nationality", placeholder: "Enter Nationality" },
+];
+
+// Form values as an author record: trimmed, no empty email or nationality
+const toAuthorRecord = (form) => ({
+  first_name: form.first_name.trim(),
+  last_name: form.last_name.trim(),
+  email: form.email.trim() || null,
+  nationality: form.nationality.trim() || null,
+});
 
 const Authors = () => {
   const { isAuthenticated } = useAuth();
-  const [authors, setAuthors] = useState([]);
-  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { authors, repositories, status, error, retry } = useLibraryData({
+    requires: ["authors"],
+  });
+  const [searchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState(
     searchParams.get("search") || ""
   );
-  const [editingRowId, setEditingRowId] = useState(null);
-  const [editName, setEditName] = useState("");
-  const [newName, setNewName] = useState("");
+  const [newAuthor, setNewAuthor] = useState(EMPTY_AUTHOR);
+  const [newAuthorErrors, setNewAuthorErrors] = useState({});
   const [showModal, setShowModal] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [deletingAuthors, setDeletingAuthors] = useState(null);
+  usePaletteCommand("add", () => setShowModal(true), isAuthenticated);
 
   // Sync searchTerm with query params
   useEffect(() => {
@@ -25,102 +57,44 @@ const Authors = () => {
     setSearchTerm(search);
   }, [searchParams]);
 
-  // Fetch JSON data
-  useEffect(() => {
-    fetch("/data/authors.json")
-      .then((response) => response.json())
-      .then((data) => {
-        setAuthors(Array.isArray(data) ? data : [data]);
-      })
-      .catch((error) => console.error("Error fetching authors:", error));
-  }, []);
-
-  // filter based on search
-  const filteredAuthors = useMemo(() => {
-    if (!searchTerm.trim()) return authors;
-    const lowerSearch = searchTerm.toLowerCase();
-    return authors.filter((author) =>
-      Object.values(author).some((value) =>
-        String(value).toLowerCase().includes(lowerSearch)
-      )
-    );
-  }, [authors, searchTerm]);
-
-  const deleteAuthor = useCallback((id, first_name, last_name) => {
-    if (
-      window.confirm(
-        `Are you sure you want to delete ${first_name} ${last_name}?`
-      )
-    ) {
-      setAuthors((prevAuthors) =>
-        prevAuthors.filter((author) => author.id !== id)
-      );
-      setEditingRowId(null);
-      setEditName("");
-      setNewName("");
-    }
-  }, []);
+  // Rank authors by the search
+  const { records: filteredAuthors, fragments } = useSearch(authors, searchTerm, "authors");
 
-  const handleEdit = useCallback((author) => {
-    setEditingRowId(author.id);
-    setEditName(`${author.first_name} ${author.last_name}`);
+  // The confirmation asks where the author's books should go
+  const deleteAuthor = useCallback((author) => {
+    setDeletingAuthors([author]);
   }, []);
 
-  const handleSave = useCallback(
-    (id) => {
-      const [first_name, ...last_name_parts] = editName.trim().split(" ");
-      const last_name = last_name_parts.join(" ");
-
-      setAuthors((prevAuthors) =>
-        prevAuthors.map((author) =>
-          author.id === id
-            ? {
-                ...author,
-                first_name,
-                last_name: last_name || author.last_name,
-              }
-            : author
-        )
-      );
-
-      setEditingRowId(null);
-      setEditName("");
-    },
-    [editName]
-  );
+  const bulkActions = isAuthenticated
+    ? [{ label: "Delete selected", danger: true, onClick: setDeletingAuthors }]
+    : [];
 
-  const handleCancel = useCallback(() => {
-    setEditingRowId(null);
-    setEditName("");
-  }, []);
+  const closeDelete = () => {
+    setDeletingAuthors(null);
+  };
 
   const columns = useMemo(() => {
     const baseColumns = [
       { header: "ID", accessorKey: "id" },
       {
-        header: "Name",
-        accessorFn: (row) => `${row.first_name} ${row.last_name}`,
-        id: "name",
-        cell: ({ row }) =>
-          editingRowId === row.original.id ? (
-            <input
-              type="text"
-              value={editName}
-              onChange={(e) => setEditName(e.target.value)}
-              onKeyDown={(e) => {
-                if (e.key === "Enter") {
-                  handleSave(row.original.id);
-                } else if (e.key === "Escape") {
-                  handleCancel();
-                }
-              }}
-              className="border border-gray-300 rounded p-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-              autoFocus
-              tooltip="Enter to save"
-            />
-          ) : (
-            `${row.original.first_name} ${row.original.last_name}`
-          ),
+        header: "First Name",
+        accessorKey: "first_name",
+        meta: { filterVariant: "text", editor: "text" },
+      },
+      {
+        header: "Last Name",
+        accessorKey: "last_name",
+        meta: { filterVariant: "text", editor: "text" },
+      },
+      {
+        header: "Email",
+        accessorKey: "email",
+        meta: { filterVariant: "text", editor: "text" },
+      },
+      {
+        header: "Nationality",
+        accessorKey: "nationality",
+        meta: { filterVariant: "select", editor: "text" },
       },
     ];
 
@@ -128,36 +102,18 @@ const Authors = () => {
       baseColumns.push({
         header: "Actions",
         id: "actions",
-        cell: ({ row }) => (
+        cell: ({ row, table }) => (
           <TableActions
             row={row}
-            onEdit={
-              editingRowId === row.original.id
-                ? handleCancel
-                : () => handleEdit(row.original)
-            }
-            onDelete={() =>
-              deleteAuthor(
-                row.original.id,
-                row.original.first_name,
-                row.original.last_name
-              )
-            }
+            onEdit={() => table.options.meta.startEditing(row.original)}
+            onDelete={() => deleteAuthor(row.original)}
           />
         ),
       });
     }
 
     return baseColumns;
-  }, [
-    editingRowId,
-    editName,
-    isAuthenticated,
-    handleCancel,
-    handleEdit,
-    deleteAuthor,
-    handleSave,
-  ]);
+  }, [isAuthenticated, deleteAuthor]);
 
   const openModal = () => {
     setShowModal(true);
@@ -165,54 +121,96 @@ const Authors = () => {
 
   const closeModal = () => {
     setShowModal(false);
+    setNewAuthor(EMPTY_AUTHOR);
+    setNewAuthorErrors({});
   };
 
-  const handleAddNew = () => {
-    if (newName.trim() === "") {
-      return;
-    }
-    const [first_name, ...last_name_parts] = newName.trim().split(" ");
-    const last_name = last_name_parts.join(" ");
-
-    const newAuthor = {
-      id: authors.length + 1,
-      first_name,
-      last_name: last_name || "",
-    };
-
-    setAuthors((prevAuthors) => [...prevAuthors, newAuthor]);
+  const handleAddNew = async () => {
+    const record = toAuthorRecord(newAuthor);
+    const errors = fieldErrors("authors", record, { skip: ["id"] });
+    setNewAuthorErrors(errors);
+    if (Object.keys(errors).length > 0) return;
 
-    setNewName("");
-    closeModal();
+    if (await repositories.authors.create(record)) closeModal();
   };
 
   return (
     <div className="py-6">
-      <Header addNew={openModal} title="Authors List" />
-      {authors.length > 0 ? (
-        <Table data={filteredAuthors} columns={columns} />
-      ) : (
-        <Loading />
-      )}
+      <Header
+        addNew={openModal}
+        onImport={() => setShowImport(true)}
+        title="Authors List"
+        searchScope="authors"
+      />
+      {status === "loading" && <Loading />}
+      {status === "error" && <ErrorState error={error} onRetry={retry} />}
+      {status === "success" &&
+        (authors.length > 0 ? (
+          <HighlightContext.Provider value={fragments}>
+            <Table
+              data={filteredAuthors}
+              columns={columns}
+              exportName="authors"
+              tableId="authors"
+              bulkActions={bulkActions}
+              onRowSave={(author, changes) => repositories.authors.update(author.id, changes)}
+              validateRow={(author) => fieldErrors("authors", author)}
+              onRowClick={(e, author) => navigate(`/author/${author.id}`)}
+            />
+          </HighlightContext.Provider>
+        ) : (
+          <EmptyState
+            message="There are no authors yet."
+            actionLabel="Add New Author"
+            onAction={isAuthenticated ? openModal : undefined}
+          />
+        ))}
       <Modal
-        title={" New Author"}
+        title="New Author"
         save={handleAddNew}
         cancel={closeModal}
         show={showModal}
-        setShow={setShowModal}
       >
-        <div className="flex flex-col gap-2 w-full">
-          <span>Author Name</span>
-          <input
-            type="text"
-            placeholder="Name"
-            value={newName}
-            onChange={(e) => setNewName(e.target.value)}
-            className="border border-gray-300 rounded p-1 ps-3 focus:outline-none focus:ring-2 focus:ring-blue-500 w-full"
-          />
-          <span className="hidden text-red-500">Please enter a name</span>
+        <div className="flex flex-col gap-4 w-full">
+          {AUTHOR_FIELDS.map((field) => (
+            <div key={field.name}>
+              <label htmlFor={`new_author_${field.name}`} className="block text-gray-700 font-medium mb-1">
+                {field.label}
+              </label>
+              <input
+                id={`new_author_${field.name}`}
+                type={field.type || "text"}
+                value={newAuthor[field.name]}
+                onChange={(e) => setNewAuthor({ ...newAuthor, [field.name]: e.target.value })}
+                className={`border border-gray-300 rounded p-2 w-full ${
+                  newAuthorErrors[field.name] ? "border-red-500" : ""
+                }`}
+                placeholder={field.placeholder}
+              />
+              {newAuthorErrors[field.name] && (
+                <p className="mt-1 text-sm text-red-500">{newAuthorErrors[field.name]}</p>
+              )}
+            </div>
+          ))}
         </div>
       </Modal>
+      <DeleteConfirmation
+        show={deletingAuthors !== null}
+        collection="authors"
+        records={deletingAuthors}
+        label={
+          deletingAuthors?.length === 1
+            ? `${deletingAuthors[0].first_name} ${deletingAuthors[0].last_name}`
+            : `${deletingAuthors?.length} authors`
+        }
+        onClose={closeDelete}
+      />
+      <ImportWizard
+        show={showImport}
+        collection="authors"
+        label="Authors"
+        onClose={() => setShowImport(false)}
+      />
     </div>
   );
 };
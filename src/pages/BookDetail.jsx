@@ -0,0 +1,227 @@
+// src/pages/BookDetail.jsx
+import { useMemo, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import Modal from "../components/Modal";
+import BookAvailability from "../components/BookAvailability";
+import DeleteConfirmation from "../components/DeleteConfirmation";
+import ErrorState from "../components/ErrorState";
+import EmptyState from "../components/EmptyState";
+import useLibraryData from "../hooks/useLibraryData";
+import { useAuth } from "../contexts/AuthProvider";
+import BookForm from "../components/BookForm";
+import { bookErrors, bookToForm, catalogValues, parseBookForm } from "../services/books";
+import Loading from "./Loading";
+
+const inputClass = "border border-gray-300 rounded p-2 w-full";
+
+// Book fields listed under the title
+const BOOK_FIELDS = [
+  { name: "isbn", label: "ISBN" },
+  { name: "language", label: "Language" },
+  { name: "page_count", label: "Pages", type: "number" },
+  { name: "format", label: "Format" },
+];
+
+const BookDetail = () => {
+  const { bookId } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const { books, indexes, authors, authorMap, stores, booksWithStores, repositories, status, error, retry } =
+    useLibraryData({ requires: ["books", "authors", "stores", "inventory"] });
+
+  const [editForm, setEditForm] = useState(null);
+  const [editErrors, setEditErrors] = useState({});
+  const [showDelete, setShowDelete] = useState(false);
+  const [stocking, setStocking] = useState(null);
+
+  const id = parseInt(bookId, 10);
+  const book = indexes.booksById.get(id);
+  const author = book && authorMap[book.author_id];
+
+  const storesCarrying = useMemo(
+    () => booksWithStores.find((entry) => entry.id === id)?.stores || [],
+    [booksWithStores, id]
+  );
+
+  // Stores the book can still be added to
+  const otherStores = useMemo(() => {
+    const carrying = new Set(storesCarrying.map((store) => store.id));
+    return stores.filter((store) => !carrying.has(store.id));
+  }, [stores, storesCarrying]);
+
+  // Picker values from the catalog
+  const languages = useMemo(() => catalogValues(books, "language"), [books]);
+  const formats = useMemo(() => catalogValues(books, "format"), [books]);
+
+  const openEdit = () => {
+    setEditErrors({});
+    setEditForm(bookToForm(book));
+  };
+
+  const saveEdit = async () => {
+    const changes = parseBookForm(editForm);
+    const errors = bookErrors({ ...book, ...changes }, books);
+    setEditErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    if (await repositories.books.update(book.id, changes)) setEditForm(null);
+  };
+
+  const saveStocking = async () => {
+    if (!stocking.store_id || stocking.price === "") return;
+    const created = await repositories.inventory.create({
+      store_id: parseInt(stocking.store_id, 10),
+      book_id: book.id,
+      price: parseFloat(stocking.price),
+    });
+    if (created) setStocking(null);
+  };
+
+  const closeDelete = (deleted) => {
+    setShowDelete(false);
+    if (deleted) navigate("/books");
+  };
+
+  if (status === "loading") {
+    return <Loading />;
+  }
+
+  if (status === "error") {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (!book) {
+    return <EmptyState message="This book does not exist." />;
+  }
+
+  return (
+    <div className="py-6 flex flex-col gap-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">{book.name}</h2>
+          <p className="text-gray-600">
+            by{" "}
+            {author ? (
+              <Link to={`/author/${author.id}`} className="text-main hover:underline">
+                {author.name}
+              </Link>
+            ) : (
+              "Unknown Author"
+            )}
+          </p>
+        </div>
+        {isAuthenticated && (
+          <div className="flex gap-2">
+            <button onClick={openEdit} className="bg-main text-white px-3 py-1.5 rounded">
+              Edit
+            </button>
+            <button
+              onClick={() => setStocking({ store_id: "", price: "" })}
+              disabled={otherStores.length === 0}
+              className="text-main border border-main bg-white px-3 py-1.5 rounded disabled:opacity-50"
+            >
+              Add to store
+            </button>
+            <button
+              onClick={() => setShowDelete(true)}
+              className="bg-red-500 text-white px-3 py-1.5 rounded hover:bg-red-600"
+            >
+              Delete
+            </button>
+          </div>
+        )}
+      </div>
+
+      <dl className="grid grid-cols-[max-content_1fr] gap-x-6 gap-y-2 bg-white rounded-lg shadow-sm p-4 max-w-xl">
+        <dt className="text-gray-500">Book Id</dt>
+        <dd className="text-gray-800">{book.id}</dd>
+        {BOOK_FIELDS.map((field) => (
+          <div key={field.name} className="contents">
+            <dt className="text-gray-500">{field.label}</dt>
+            <dd className="text-gray-800">{book[field.name] ?? "—"}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <section>
+        <h3 className="text-lg font-medium text-gray-800 mb-2">Availability</h3>
+        <BookAvailability stores={storesCarrying} />
+      </section>
+
+      <Modal
+        title="Edit Book"
+        save={saveEdit}
+        cancel={() => setEditForm(null)}
+        show={editForm !== null}
+        saveLabel="Save"
+      >
+        {editForm && (
+          <BookForm
+            value={editForm}
+            onChange={setEditForm}
+            errors={editErrors}
+            authors={authors}
+            languages={languages}
+            formats={formats}
+            idPrefix="edit_book"
+          />
+        )}
+      </Modal>
+
+      <Modal
+        title="Add Book to Store"
+        save={saveStocking}
+        cancel={() => setStocking(null)}
+        show={stocking !== null}
+        saveDisabled={!stocking?.store_id || stocking?.price === ""}
+      >
+        {stocking && (
+          <div className="flex flex-col gap-4 w-full">
+            <div>
+              <label htmlFor="stock_store" className="block text-gray-700 font-medium mb-1">
+                Store
+              </label>
+              <select
+                id="stock_store"
+                value={stocking.store_id}
+                onChange={(e) => setStocking({ ...stocking, store_id: e.target.value })}
+                className={inputClass}
+              >
+                <option value="">-- Select a Store --</option>
+                {otherStores.map((store) => (
+                  <option key={store.id} value={store.id}>
+                    {store.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="stock_price" className="block text-gray-700 font-medium mb-1">
+                Price
+              </label>
+              <input
+                id="stock_price"
+                type="number"
+                step="0.01"
+                min="0"
+                value={stocking.price}
+                onChange={(e) => setStocking({ ...stocking, price: e.target.value })}
+                className={inputClass}
+                placeholder="Enter Price (e.g., 29.99)"
+              />
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <DeleteConfirmation
+        show={showDelete}
+        collection="books"
+        record={book}
+        label={book.name}
+        onClose={closeDelete}
+      />
+    </div>
+  );
+};
+
+export default BookDetail;
@@ -1,25 +1,34 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import Header from '../components/Header';
 import Loading from './Loading';
 import BooksTable from '../components/BooksTable';
 import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthProvider';
 import Modal from '../components/Modal';
+import useLibraryData from '../hooks/useLibraryData';
+import DeleteConfirmation from '../components/DeleteConfirmation';
+import useSearch from '../hooks/useSearch';
+import HighlightContext from '../contexts/HighlightContext';
+import ImportWizard from '../components/ImportWizard';
+import ErrorState from '../components/ErrorState';
+import EmptyState from '../components/EmptyState';
+import usePaletteCommand from '../hooks/usePaletteCommand';
+import BookForm from '../components/BookForm';
+import { EMPTY_BOOK_FORM, bookErrors, catalogValues, parseBookForm } from '../services/books';
 
 const Books = () => {
   const { isAuthenticated } = useAuth();
-  const [books, setBooks] = useState([]);
-  const [authors, setAuthors] = useState([]);
-  const [searchParams, setSearchParams] = useSearchParams();
+  const { books, authors, authorMap, booksWithStores, repositories, status, error, retry } = useLibraryData({
+    requires: ['books', 'authors', 'stores', 'inventory'],
+  });
+  const [searchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
-  const [editingRowId, setEditingRowId] = useState(null);
-  const [editName, setEditName] = useState('');
   const [showModal, setShowModal] = useState(false);
-  const [newBook, setNewBook] = useState({
-    author_id: '',
-    name: '',
-    page_count: '',
-  });
+  const [showImport, setShowImport] = useState(false);
+  const [deletingBooks, setDeletingBooks] = useState(null);
+  const [newBook, setNewBook] = useState(EMPTY_BOOK_FORM);
+  const [newBookErrors, setNewBookErrors] = useState({});
+  usePaletteCommand('add', () => setShowModal(true), isAuthenticated);
 
   // Sync search term with URL params
   useEffect(() => {
@@ -27,131 +36,106 @@ const Books = () => {
     setSearchTerm(search);
   }, [searchParams]);
 
-  // Fetch data
-  useEffect(() => {
-    Promise.all([
-      fetch('/data/books.json').then((response) => response.json()),
-      fetch('/data/authors.json').then((response) => response.json()),
-    ])
-      .then(([booksData, authorsData]) => {
-        setBooks(Array.isArray(booksData) ? booksData : [booksData]);
-        setAuthors(Array.isArray(authorsData) ? authorsData : [authorsData]);
-      })
-      .catch((error) => console.error('Error fetching data:', error));
-  }, []);
+  // Rank books by the search (memoized, so the table keeps its page)
+  const booksWithAuthors = useMemo(
+    () => books.map((book) => ({ ...book, author_name: authorMap[book.author_id]?.name })),
+    [books, authorMap]
+  );
+  const { records: filteredBooks, fragments } = useSearch(booksWithAuthors, searchTerm, 'books');
 
-  // Filter books based on search
-  const filteredBooks = books.filter((book) => {
-    if (!searchTerm.trim()) return true;
-    return Object.values(book).some((value) =>
-      String(value).toLowerCase().includes(searchTerm.toLowerCase())
-    );
-  });
+  // Delete book handler; the confirmation lists the inventory it removes
+  const deleteBook = useCallback(
+    (id) => setDeletingBooks([repositories.books.getById(id)]),
+    [repositories]
+  );
 
-  // Delete book handler
-  const deleteBook = (id, name) => {
-    if (window.confirm(`Are you sure you want to delete "${name}"?`)) {
-      setBooks((prevBooks) => prevBooks.filter((book) => book.id !== id));
-      setEditingRowId(null);
-      setEditName('');
-    }
-  };
+  const bulkActions = isAuthenticated
+    ? [{ label: 'Delete selected', danger: true, onClick: setDeletingBooks }]
+    : [];
 
-  // Add new book handler
-  const handleAddNew = () => {
-    if (!newBook.author_id || !newBook.name || !newBook.page_count) {
-      alert('All fields are required');
-      return;
-    }
+  const closeDelete = () => setDeletingBooks(null);
 
-    const newId = books.length > 0 ? Math.max(...books.map((b) => b.id)) + 1 : 1;
-    const newBookObject = {
-      id: newId,
-      author_id: parseInt(newBook.author_id),
-      name: newBook.name,
-      page_count: parseInt(newBook.page_count),
-    };
+  // Picker values from the catalog
+  const languages = useMemo(() => catalogValues(books, 'language'), [books]);
+  const formats = useMemo(() => catalogValues(books, 'format'), [books]);
 
-    setBooks((prevBooks) => [...prevBooks, newBookObject]);
-    setNewBook({ author_id: '', name: '', page_count: '' });
+  const closeModal = () => {
     setShowModal(false);
+    setNewBook(EMPTY_BOOK_FORM);
+    setNewBookErrors({});
+  };
+
+  // Add new book handler
+  const handleAddNew = async () => {
+    const record = parseBookForm(newBook);
+    const errors = bookErrors(record, books);
+    setNewBookErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    if (await repositories.books.create(record)) closeModal();
   };
 
   return (
     <div className="py-6">
-      <Header addNew={() => setShowModal(true)} title="Books List" />
-      {books.length > 0 ? (
-        <BooksTable
-          books={filteredBooks}
-          authors={authors}
-          editingRowId={editingRowId}
-          setEditingRowId={setEditingRowId}
-          editName={editName}
-          setEditName={setEditName}
-          setBooks={setBooks}
-          deleteBook={deleteBook}
-          isAuthenticated={isAuthenticated}
+      <Header
+        addNew={() => setShowModal(true)}
+        onImport={() => setShowImport(true)}
+        title="Books List"
+        searchScope="books"
+      />
+      {status === 'loading' && <Loading />}
+      {status === 'error' && <ErrorState error={error} onRetry={retry} />}
+      {status === 'success' && books.length === 0 && (
+        <EmptyState
+          message="There are no books yet."
+          actionLabel="Add New Book"
+          onAction={isAuthenticated ? () => setShowModal(true) : undefined}
         />
-      ) : (
-        <Loading />
+      )}
+      {status === 'success' && books.length > 0 && (
+        <HighlightContext.Provider value={fragments}>
+          <BooksTable
+            books={filteredBooks}
+            authors={authors}
+            booksWithStores={booksWithStores}
+            updateBook={(id, changes) => repositories.books.update(id, changes)}
+            deleteBook={deleteBook}
+            bulkActions={bulkActions}
+            isAuthenticated={isAuthenticated}
+          />
+        </HighlightContext.Provider>
       )}
       <Modal
         title="New Book"
         save={handleAddNew}
-        cancel={() => setShowModal(false)}
+        cancel={closeModal}
         show={showModal}
-        setShow={setShowModal}
       >
-        <div className="flex flex-col gap-4 w-full">
-          <div>
-            <label htmlFor="name" className="block text-gray-700 font-medium mb-1">
-              Book Name
-            </label>
-            <input
-              id="name"
-              type="text"
-              value={newBook.name}
-              onChange={(e) => setNewBook({ ...newBook, name: e.target.value })}
-              className="border border-gray-300 rounded p-2 w-full"
-              placeholder="Enter Book Name"
-              required
-            />
-          </div>
-          <div>
-            <label htmlFor="page_count" className="block text-gray-700 font-medium mb-1">
-              Number of Pages
-            </label>
-            <input
-              id="page_count"
-              type="number"
-              value={newBook.page_count}
-              onChange={(e) => setNewBook({ ...newBook, page_count: e.target.value })}
-              className="border border-gray-300 rounded p-2 w-full"
-              placeholder="Enter Page Count"
-              required
-            />
-          </div>
-          <div>
-            <label htmlFor="author_id" className="block text-gray-700 font-medium mb-1">
-              Author
-            </label>
-            <select
-              id="author_id"
-              value={newBook.author_id}
-              onChange={(e) => setNewBook({ ...newBook, author_id: e.target.value })}
-              className="border border-gray-300 rounded p-2 w-full"
-              required
-            >
-              <option value="" disabled>Select an Author</option>
-              {authors.map((author) => (
-                <option key={author.id} value={author.id}>
-                  {author.first_name} {author.last_name}
-                </option>
-              ))}
-            </select>
-          </div>
-        </div>
+        <BookForm
+          value={newBook}
+          onChange={setNewBook}
+          errors={newBookErrors}
+          authors={authors}
+          languages={languages}
+          formats={formats}
+          idPrefix="new_book"
+        />
       </Modal>
+      <DeleteConfirmation
+        show={deletingBooks !== null}
+        collection="books"
+        records={deletingBooks}
+        label={
+          deletingBooks?.length === 1 ? deletingBooks[0].name : `${deletingBooks?.length} books`
+        }
+        onClose={closeDelete}
+      />
+      <ImportWizard
+        show={showImport}
+        collection="books"
+        label="Books"
+        onClose={() => setShowImport(false)}
+      />
     </div>
   );
 };
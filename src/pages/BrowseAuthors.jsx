@@ -1,39 +1,73 @@
 // src/pages/BrowseAuthors.jsx
 import React from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Loading from '../pages/Loading';
 import AuthorCard from '../components/Cards/AuthorCard';
 import useLibraryData from '../hooks/useLibraryData';
+import ErrorState from '../components/ErrorState';
+import EmptyState from '../components/EmptyState';
+import VirtualGrid from '../components/VirtualGrid';
+import Searchbar from '../components/Searchbar';
+import HighlightContext from '../contexts/HighlightContext';
+import useSearch from '../hooks/useSearch';
 
 const BrowseAuthors = () => {
-  const { authors, books, isLoading } = useLibraryData();
+  const { authors, indexes, isLoading, status, error, retry } = useLibraryData({
+    requires: ['authors', 'books'],
+  });
 
   // Calculate the number of books per author
   const authorsWithBookCount = React.useMemo(() => {
     return authors.map((author) => {
-      const noOfBooks = books.filter((book) => book.author_id === author.id).length;
+      const noOfBooks = indexes.booksByAuthor.get(author.id)?.length || 0;
       return {
+        ...author,
         name: `${author.first_name} ${author.last_name}`,
         noOfBooks,
       };
     });
-  }, [authors, books]);
+  }, [authors, indexes]);
+
+  const [searchParams] = useSearchParams();
+  const searchTerm = searchParams.get('search') || '';
+  const { records: matchedAuthors, fragments } = useSearch(
+    authorsWithBookCount,
+    searchTerm,
+    'authors'
+  );
 
   if (isLoading) {
     return <Loading />;
   }
 
+  if (status === 'error') {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (authorsWithBookCount.length === 0) {
+    return <EmptyState message="There are no authors yet." />;
+  }
+
   return (
     <div className="py-6 px-4">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6">Browse All Authors</h2>
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-        {authorsWithBookCount.map((author, index) => (
-          <AuthorCard
-            key={index}
-            name={author.name}
-            noOfBooks={author.noOfBooks}
-          />
-        ))}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Browse All Authors</h2>
+        <Searchbar scope="authors" />
       </div>
+      {matchedAuthors.length > 0 ? (
+        <HighlightContext.Provider value={fragments}>
+          <VirtualGrid
+            items={matchedAuthors}
+            minColumnWidth={448}
+            estimateRowHeight={214}
+            renderItem={(author) => (
+              <AuthorCard id={author.id} name={author.name} noOfBooks={author.noOfBooks} />
+            )}
+          />
+        </HighlightContext.Provider>
+      ) : (
+        <EmptyState message="No authors match your search." />
+      )}
     </div>
   );
 };
@@ -1,30 +1,68 @@
 // src/pages/Browse.jsx
 import React from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Loading from '../pages/Loading';
 import BookCard from '../components/Cards/BookCard';
 import useLibraryData from '../hooks/useLibraryData';
+import ErrorState from '../components/ErrorState';
+import EmptyState from '../components/EmptyState';
+import VirtualGrid from '../components/VirtualGrid';
+import Searchbar from '../components/Searchbar';
+import HighlightContext from '../contexts/HighlightContext';
+import useSearch from '../hooks/useSearch';
+
+// Browse entries in the shape the books search fields read
+const toSearchable = (book) => ({ id: book.id, name: book.title, author_name: book.author });
 
 const BrowseBooks = () => {
   // Use the custom hook
-  const { booksWithStores, isLoading } = useLibraryData();
+  const { booksWithStores, isLoading, status, error, retry } = useLibraryData();
+  const [searchParams] = useSearchParams();
+  const searchTerm = searchParams.get('search') || '';
+  const { records: matchedBooks, fragments } = useSearch(
+    booksWithStores,
+    searchTerm,
+    'books',
+    toSearchable
+  );
 
   if (isLoading) {
     return <Loading />;
   }
 
+  if (status === 'error') {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (booksWithStores.length === 0) {
+    return <EmptyState message="There are no books in the catalog yet." />;
+  }
+
 return (
     <div className="py-6 px-4">
-        <h2 className="text-2xl font-bold text-gray-800 mb-6">Browse All Books</h2>
-        <div className="flex flex-wrap gap-6 ">
-            {booksWithStores.map((book, index) => (
-                <BookCard
-                    key={index}
-                    title={book.title}
-                    author={book.author}
-                    stores={book.stores}
-                />
-            ))}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+            <h2 className="text-2xl font-bold text-gray-800">Browse All Books</h2>
+            <Searchbar scope="books" />
         </div>
+        {matchedBooks.length > 0 ? (
+            <HighlightContext.Provider value={fragments}>
+                <VirtualGrid
+                    items={matchedBooks}
+                    minColumnWidth={360}
+                    estimateRowHeight={240}
+                    renderItem={(book) => (
+                        <BookCard
+                            id={book.id}
+                            title={book.title}
+                            author={book.author}
+                            stores={book.stores}
+                        />
+                    )}
+                />
+            </HighlightContext.Provider>
+        ) : (
+            <EmptyState message="No books match your search." />
+        )}
     </div>
 );
 };
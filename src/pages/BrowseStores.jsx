@@ -1,18 +1,25 @@
 // src/pages/BrowseStores.jsx
 import React from 'react';
+import { useSearchParams } from 'react-router-dom';
 import Loading from '../pages/Loading';
 import StoreCard from '../components/Cards/StoreCard';
 import useLibraryData from '../hooks/useLibraryData';
+import ErrorState from '../components/ErrorState';
+import EmptyState from '../components/EmptyState';
+import VirtualGrid from '../components/VirtualGrid';
+import Searchbar from '../components/Searchbar';
+import HighlightContext from '../contexts/HighlightContext';
+import useSearch from '../hooks/useSearch';
 
 const BrowseStores = () => {
-  const { stores, inventory, isLoading } = useLibraryData();
+  const { stores, indexes, isLoading, status, error, retry } = useLibraryData({
+    requires: ['stores', 'inventory'],
+  });
 
   // Calculate metrics for each store
   const storesWithMetrics = React.useMemo(() => {
     return stores.map((store) => {
-      const storeInventory = inventory.filter(
-        (item) => item.store_id === store.id
-      );
+      const storeInventory = indexes.inventoryByStore.get(store.id) || [];
 
       // Number of books in the store
       const noOfBooks = storeInventory.length;
@@ -20,35 +27,56 @@ const BrowseStores = () => {
       // Calculate average price
       const totalPrice = storeInventory.reduce((sum, item) => sum + item.price, 0);
       const averagePrice = noOfBooks > 0 ? totalPrice / noOfBooks : 0;
-      const id = store.id;
 
       return {
-        name: store.name,
+        ...store,
         noOfBooks,
         averagePrice,
-        id,
       };
     });
-  }, [stores, inventory]);
+  }, [stores, indexes]);
+
+  const [searchParams] = useSearchParams();
+  const searchTerm = searchParams.get('search') || '';
+  const { records: matchedStores, fragments } = useSearch(storesWithMetrics, searchTerm, 'stores');
 
   if (isLoading) {
     return <Loading />;
   }
 
+  if (status === 'error') {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (storesWithMetrics.length === 0) {
+    return <EmptyState message="There are no stores yet." />;
+  }
+
   return (
     <div className="py-6 px-4">
-      <h2 className="text-2xl font-bold text-gray-800 mb-6">Browse All Stores</h2>
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
-        {storesWithMetrics.map((store, index) => (
-          <StoreCard
-            key={index}
-            name={store.name}
-            noOfBooks={store.noOfBooks}
-            averagePrice={store.averagePrice}
-            id={store.id}
-          />
-        ))}
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <h2 className="text-2xl font-bold text-gray-800">Browse All Stores</h2>
+        <Searchbar scope="stores" />
       </div>
+      {matchedStores.length > 0 ? (
+        <HighlightContext.Provider value={fragments}>
+          <VirtualGrid
+            items={matchedStores}
+            minColumnWidth={448}
+            estimateRowHeight={214}
+            renderItem={(store) => (
+              <StoreCard
+                name={store.name}
+                noOfBooks={store.noOfBooks}
+                averagePrice={store.averagePrice}
+                id={store.id}
+              />
+            )}
+          />
+        </HighlightContext.Provider>
+      ) : (
+        <EmptyState message="No stores match your search." />
+      )}
     </div>
   );
 };
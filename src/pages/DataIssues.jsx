@@ -0,0 +1,96 @@
+// src/pages/DataIssues.jsx
+// Admin panel listing records that failed schema validation on load
+import React, { useState } from "react";
+import useLibrary from "../hooks/useLibrary";
+import { useAuth } from "../contexts/AuthProvider";
+
+const IssueCard = ({ issue, isAuthenticated, onDiscard, onResolve }) => {
+  const [draft, setDraft] = useState(() => JSON.stringify(issue.record, null, 2));
+  const [parseError, setParseError] = useState("");
+
+  const handleResolve = () => {
+    let record;
+    try {
+      record = JSON.parse(draft);
+    } catch {
+      setParseError("Not valid JSON");
+      return;
+    }
+    setParseError("");
+    onResolve(issue, record);
+  };
+
+  return (
+    <div className="bg-white shadow-md rounded-lg p-4 flex flex-col gap-3">
+      <div className="flex justify-between items-center">
+        <p className="font-medium text-gray-800">
+          {issue.collection} {issue.record?.id !== undefined && `#${issue.record.id}`}
+        </p>
+        {isAuthenticated && (
+          <div className="flex gap-2">
+            <button
+              onClick={handleResolve}
+              className="bg-main text-white px-3 py-1 rounded"
+            >
+              Save & restore
+            </button>
+            <button
+              onClick={() => onDiscard(issue)}
+              className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600"
+            >
+              Discard
+            </button>
+          </div>
+        )}
+      </div>
+      <ul className="text-sm text-red-600 list-disc ps-5">
+        {issue.errors.map((error) => (
+          <li key={error.field}>
+            <span className="font-medium">{error.field}</span> {error.message}
+          </li>
+        ))}
+      </ul>
+      <textarea
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        readOnly={!isAuthenticated}
+        rows={Math.min(12, draft.split("\n").length)}
+        className="border border-gray-300 rounded p-2 w-full font-mono text-sm"
+      />
+      {parseError && <p className="text-sm text-red-500">{parseError}</p>}
+    </div>
+  );
+};
+
+const DataIssues = () => {
+  const { issues, discardIssue, resolveIssue } = useLibrary();
+  const { isAuthenticated } = useAuth();
+
+  return (
+    <div className="py-6">
+      <h1 className="text-lg mb-2">Data Issues</h1>
+      <p className="text-sm text-gray-600 mb-4">
+        These records failed validation when the catalog was loaded and are
+        hidden from the rest of the app. Correct the JSON and save to restore a
+        record, or discard it.
+      </p>
+      {issues.length === 0 ? (
+        <p className="text-gray-600">No data issues found.</p>
+      ) : (
+        <div className="flex flex-col gap-4">
+          {issues.map((issue) => (
+            <IssueCard
+              key={issue.key}
+              issue={issue}
+              isAuthenticated={isAuthenticated}
+              onDiscard={discardIssue}
+              onResolve={resolveIssue}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataIssues;
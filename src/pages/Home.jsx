@@ -6,16 +6,23 @@ import StoreCard from "../components/Cards/StoreCard";
 import BookCard from "../components/Cards/BookCard";
 import AuthorCard from "../components/Cards/AuthorCard";
 import useLibraryData from "../hooks/useLibraryData";
+import ErrorState from "../components/ErrorState";
 
 const Home = () => {
-  const { stores, booksWithStores, authors, books, inventory, isLoading } =
-    useLibraryData();
+  const {
+    stores,
+    booksWithStores,
+    authors,
+    indexes,
+    isLoading,
+    status,
+    error,
+    retry,
+  } = useLibraryData();
 
   const storesWithMetrics = React.useMemo(() => {
     return stores.slice(0, 5).map((store) => {
-      const storeInventory = inventory.filter(
-        (item) => item.store_id === store.id
-      );
+      const storeInventory = indexes.inventoryByStore.get(store.id) || [];
       const noOfBooks = storeInventory.length;
       const totalPrice = storeInventory.reduce(
         (sum, item) => sum + item.price,
@@ -30,26 +37,29 @@ const Home = () => {
         averagePrice,
       };
     });
-  }, [stores, inventory]);
+  }, [stores, indexes]);
 
   const limitedBooksWithStores = booksWithStores.slice(0, 5);
 
   const authorsWithBookCount = React.useMemo(() => {
     return authors.slice(0, 5).map((author) => {
-      const noOfBooks = books.filter(
-        (book) => book.author_id === author.id
-      ).length;
+      const noOfBooks = indexes.booksByAuthor.get(author.id)?.length || 0;
       return {
+        id: author.id,
         name: `${author.first_name} ${author.last_name}`,
         noOfBooks,
       };
     });
-  }, [authors, books]);
+  }, [authors, indexes]);
 
   if (isLoading) {
     return <Loading />;
   }
 
+  if (status === "error") {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
   return (
     <div className="py-6 px-4">
       {/* Stores Section */}
@@ -64,6 +74,9 @@ const Home = () => {
           </Link>
         </div>
         <div className="flex overflow-x-auto gap-4 pb-4">
+          {storesWithMetrics.length === 0 && (
+            <p className="text-gray-600">No stores yet.</p>
+          )}
           {storesWithMetrics.map((store, index) => (
             <div key={index} className="flex-shrink-0">
               <StoreCard
@@ -89,9 +102,13 @@ const Home = () => {
           </Link>
         </div>
         <div className="flex overflow-x-auto gap-4 pb-4">
+          {limitedBooksWithStores.length === 0 && (
+            <p className="text-gray-600">No books yet.</p>
+          )}
           {limitedBooksWithStores.map((book, index) => (
             <div key={index} className="flex-shrink-0">
               <BookCard
+                id={book.id}
                 title={book.title}
                 author={book.author}
                 stores={book.stores}
@@ -113,9 +130,12 @@ const Home = () => {
           </Link>
         </div>
         <div className="flex overflow-x-auto gap-4 pb-4">
+          {authorsWithBookCount.length === 0 && (
+            <p className="text-gray-600">No authors yet.</p>
+          )}
           {authorsWithBookCount.map((author, index) => (
             <div key={index} className="flex-shrink-0">
-              <AuthorCard name={author.name} noOfBooks={author.noOfBooks} />
+              <AuthorCard id={author.id} name={author.name} noOfBooks={author.noOfBooks} />
             </div>
           ))}
         </div>
@@ -1,5 +1,5 @@
 // src/pages/Inventory.jsx
-import { useEffect, useState, useMemo, useCallback } from "react";
+import { useState, useMemo, useCallback } from "react";
 import Modal from "../components/Modal";
 import Header from "../components/Header";
 import useLibraryData from "../hooks/useLibraryData";
@@ -8,21 +8,44 @@ import Table from "../components/Table/Table";
 import { useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthProvider";
 import TableActions from "../components/ActionButton/TableActions";
+import Loading from "./Loading";
+import ErrorState from "../components/ErrorState";
+import EmptyState from "../components/EmptyState";
+import BulkPriceChange from "../components/BulkPriceChange";
+import HighlightContext from "../contexts/HighlightContext";
+import useSearch from "../hooks/useSearch";
+
+const BULK_PREVIEW_LIMIT = 8;
+
+const formatPrice = (price) => `$${price.toFixed(2)}`;
 
 const Inventory = () => {
   const { storeId } = useParams();
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { isAuthenticated } = useAuth();
 
   const searchTerm = searchParams.get("search") || "";
-  const { inventory, setInventory, storeBooks, authorMap, books } =
-    useLibraryData({
-      storeId,
-      searchTerm,
-    });
+  // Active tab from ?view=, books by default
+  const activeTab = searchParams.get("view") === "authors" ? "authors" : "books";
+  // Books tab narrowed to one author from ?author=<id>
+  const authorFilter = parseInt(searchParams.get("author"), 10) || null;
+  const {
+    indexes,
+    storeBooks,
+    storeBooksHighlight,
+    authorMap,
+    books,
+    repositories,
+    currentStore,
+    status,
+    error,
+    retry,
+  } = useLibraryData({
+    storeId,
+    searchTerm,
+  });
 
   // State for UI
-  const [activeTab, setActiveTab] = useState("books");
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -30,38 +53,40 @@ const Inventory = () => {
   const [editingBook, setEditingBook] = useState(null);
   const [editPrice, setEditPrice] = useState("");
   const [deletingBook, setDeletingBook] = useState(null);
+  // Selected table rows a bulk action is being confirmed for
+  const [bulkRemoving, setBulkRemoving] = useState(null);
+  const [bulkPricing, setBulkPricing] = useState(null);
+  const [bulkSaving, setBulkSaving] = useState(false);
 
   const [selectedBookId, setSelectedBookId] = useState("");
   const [newPrice, setNewPrice] = useState("");
 
   const [bookSearchTerm, setBookSearchTerm] = useState("");
 
-  const handleAddBook = () => {
-    if (selectedBookId && newPrice) {
-      const newItem = {
-        id: inventory.length + 1,
-        store_id: parseInt(storeId),
-        book_id: parseInt(selectedBookId),
-        price: parseFloat(newPrice),
-      };
-      setInventory([...inventory, newItem]);
-      closeAddModal();
-    }
+  const handleAddBook = async () => {
+    if (!selectedBookId || !newPrice) return;
+    const created = await repositories.inventory.create({
+      store_id: parseInt(storeId),
+      book_id: parseInt(selectedBookId),
+      price: parseFloat(newPrice),
+    });
+    if (created) closeAddModal();
   };
 
-  const handleSaveEdit = () => {
-    if (editingBook && editPrice) {
-      handleEditPrice(editingBook.id, parseFloat(editPrice));
-      closeEditModal();
-    }
+  const handleSaveEdit = async () => {
+    if (!editingBook || !editPrice) return;
+    if (await handleEditPrice(editingBook.id, parseFloat(editPrice))) closeEditModal();
   };
+  const storeInventory = useMemo(
+    () => indexes.inventoryByStore.get(parseInt(storeId, 10)) || [],
+    [indexes, storeId]
+  );
+
   const availableBooks = useMemo(() => {
-    const booksInStore = inventory
-      .filter((item) => item.store_id === parseInt(storeId, 10))
-      .map((item) => item.book_id);
+    const booksInStore = new Set(storeInventory.map((item) => item.book_id));
 
-    return books.filter((book) => !booksInStore.includes(book.id));
-  }, [books, inventory, storeId]);
+    return books.filter((book) => !booksInStore.has(book.id));
+  }, [books, storeInventory]);
 
   const filteredAvailableBooks = useMemo(() => {
     let filtered = availableBooks;
@@ -76,13 +101,72 @@ const Inventory = () => {
     return filtered.slice(0, 7);
   }, [availableBooks, bookSearchTerm]);
 
-  // Set active tab based on view query param
-  const view = "books";
-  useEffect(() => {
-    if (view === "authors" || view === "books") {
-      setActiveTab(view);
-    }
-  }, [view]);
+  const shownBooks = useMemo(
+    () => (authorFilter ? storeBooks.filter((book) => book.author_id === authorFilter) : storeBooks),
+    [storeBooks, authorFilter]
+  );
+
+  // Authors stocked in the store, with their number of titles and prices
+  // (the average is per inventory row, as the total sums every row)
+  const storeAuthors = useMemo(() => {
+    const byAuthor = new Map();
+    storeInventory.forEach((item) => {
+      const book = indexes.booksById.get(item.book_id);
+      if (!book) return;
+      const author = authorMap[book.author_id];
+      const entry = byAuthor.get(book.author_id) || {
+        ...author,
+        id: book.author_id,
+        name: author?.name || "Unknown Author",
+        bookIds: new Set(),
+        rows: 0,
+        total_price: 0,
+      };
+      entry.bookIds.add(book.id);
+      entry.rows += 1;
+      entry.total_price += item.price;
+      byAuthor.set(book.author_id, entry);
+    });
+    return [...byAuthor.values()]
+      .map(({ bookIds, rows, ...entry }) => ({
+        ...entry,
+        titles: bookIds.size,
+        average_price: entry.total_price / rows,
+      }))
+      .sort((a, b) => b.titles - a.titles || a.name.localeCompare(b.name));
+  }, [storeInventory, indexes, authorMap]);
+
+  const { records: filteredAuthors, fragments: authorsHighlight } = useSearch(
+    storeAuthors,
+    searchTerm,
+    "authors"
+  );
+
+  // Tabs and drill-down live in the URL; the search is dropped on switching
+  // since each tab searches different fields
+  const showTab = useCallback(
+    (view, authorId = null) =>
+      setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        if (view === "books") next.delete("view");
+        else next.set("view", view);
+        next.delete("search");
+        if (authorId) next.set("author", authorId);
+        else next.delete("author");
+        return next;
+      }),
+    [setSearchParams]
+  );
+
+  // Books tab filtered to one author by id (names need not be unique)
+  const showAuthorBooks = useCallback((author) => showTab("books", author.id), [showTab]);
+
+  const clearAuthorFilter = () =>
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.delete("author");
+      return next;
+    });
 
   // Modal controls
   const openAddModal = () => setShowAddModal(true);
@@ -116,53 +200,77 @@ const Inventory = () => {
     setDeletingBook(null);
   };
 
+  // The store's inventory rows of a book, removed in one batch; resolves
+  // truthy on success
   const handleDeleteBook = useCallback(
-    (bookId) => {
-      const updatedInventory = inventory.filter(
-        (item) =>
-          !(item.store_id === parseInt(storeId, 10) && item.book_id === bookId)
-      );
-      setInventory(updatedInventory);
-      closeDeleteModal();
+    (bookId) =>
+      repositories.inventory.removeMany(
+        storeInventory.filter((item) => item.book_id === bookId).map((item) => item.id)
+      ),
+    [storeInventory, repositories]
+  );
+
+  // Inventory records behind the selected book rows, named for the previews
+  const inventoryFor = useCallback(
+    (bookRows) => {
+      const bookIds = new Set(bookRows.map((book) => book.id));
+      return storeInventory
+        .filter((item) => bookIds.has(item.book_id))
+        .map((item) => ({
+          ...item,
+          name: indexes.booksById.get(item.book_id)?.name || "Unknown book",
+        }));
     },
-    [inventory, storeId, setInventory]
+    [storeInventory, indexes]
   );
 
-  const confirmDelete = () => {
-    if (deletingBook) {
-      handleDeleteBook(deletingBook.id);
-    }
+  const bulkActions = isAuthenticated
+    ? [
+        { label: "Change price", onClick: setBulkPricing },
+        { label: "Remove from store", danger: true, onClick: setBulkRemoving },
+      ]
+    : [];
+
+  const confirmBulkRemove = async () => {
+    if (bulkSaving) return;
+    setBulkSaving(true);
+    const removed = await repositories.inventory.removeMany(
+      inventoryFor(bulkRemoving).map((item) => item.id)
+    );
+    setBulkSaving(false);
+    if (removed) setBulkRemoving(null);
   };
 
+  const confirmDelete = async () => {
+    if (deletingBook && (await handleDeleteBook(deletingBook.id))) closeDeleteModal();
+  };
+
+  // Reprices the store's inventory rows of a book; resolves truthy on success
   const handleEditPrice = useCallback(
-    (bookId, newPrice) => {
-      const updatedInventory = inventory.map((item) => {
-        if (
-          item.store_id === parseInt(storeId, 10) &&
-          item.book_id === bookId
-        ) {
-          return { ...item, price: newPrice };
-        }
-        return item;
-      });
-      setInventory(updatedInventory);
-    },
-    [inventory, storeId, setInventory]
+    (bookId, newPrice) =>
+      repositories.inventory.updateMany(
+        storeInventory
+          .filter((item) => item.book_id === bookId)
+          .map((item) => ({ id: item.id, changes: { price: newPrice } }))
+      ),
+    [storeInventory, repositories]
   );
 
   const columns = useMemo(() => {
     const baseColumns = [
       { header: "Book Id", accessorKey: "id" },
-      { header: "Name", accessorKey: "name" },
-      { header: "Pages", accessorKey: "page_count" },
+      { header: "Name", accessorKey: "name", meta: { filterVariant: "text" } },
+      { header: "Pages", accessorKey: "page_count", meta: { filterVariant: "range" } },
       {
         header: "Author",
-        accessorKey: "author_name",
-        cell: ({ row }) => authorMap[row.original.author_id]?.name || "Unknown",
+        id: "author_name",
+        accessorFn: (row) => authorMap[row.author_id]?.name || "Unknown",
+        meta: { filterVariant: "select" },
       },
       {
         header: "Price",
         accessorKey: "price",
+        meta: { filterVariant: "range" },
         cell: ({ row }) => `$${row.original.price}`,
       },
     ];
@@ -185,11 +293,56 @@ const Inventory = () => {
     return baseColumns;
   }, [authorMap, isAuthenticated]);
 
+  const authorColumns = useMemo(
+    () => [
+      { header: "Author", accessorKey: "name", meta: { filterVariant: "text" } },
+      { header: "Titles", accessorKey: "titles", meta: { filterVariant: "range" } },
+      {
+        header: "Total Price",
+        accessorKey: "total_price",
+        meta: { filterVariant: "range" },
+        cell: ({ getValue }) => formatPrice(getValue()),
+      },
+      {
+        header: "Average Price",
+        accessorKey: "average_price",
+        meta: { filterVariant: "range" },
+        cell: ({ getValue }) => formatPrice(getValue()),
+      },
+      {
+        header: "Books",
+        id: "books",
+        enableSorting: false,
+        cell: ({ row }) => (
+          <button
+            onClick={() => showAuthorBooks(row.original)}
+            className="text-main hover:underline"
+          >
+            View books
+          </button>
+        ),
+      },
+    ],
+    [showAuthorBooks]
+  );
+
+  if (status === "loading") {
+    return <Loading />;
+  }
+
+  if (status === "error") {
+    return <ErrorState error={error} onRetry={retry} />;
+  }
+
+  if (!currentStore) {
+    return <EmptyState message="This store does not exist." />;
+  }
+
   return (
     <div className="py-6">
       <div className="flex mb-4 w-full justify-center items-center">
         <button
-          onClick={() => setActiveTab("books")}
+          onClick={() => showTab("books")}
           className={`px-4 border-b-2 py-2 ${
             activeTab === "books" ? "border-b-main" : "border-b-transparent"
           }`}
@@ -197,7 +350,7 @@ const Inventory = () => {
           Books
         </button>
         <button
-          onClick={() => setActiveTab("authors")}
+          onClick={() => showTab("authors")}
           className={`px-4 border-b-2 py-2 ${
             activeTab === "authors" ? "border-b-main" : "border-b-transparent"
           }`}
@@ -208,18 +361,69 @@ const Inventory = () => {
       <Header
         addNew={openAddModal}
         title={`Store Inventory`}
+        searchScope={activeTab === "authors" ? "authors" : "inventory"}
         buttonTitle="Add to inventory"
       />
       {activeTab === "books" ? (
-        <p className="text-gray-600">
-          {storeBooks.length > 0 ? (
-            <Table data={storeBooks} columns={columns} />
+        <div className="text-gray-600">
+          {authorFilter && (
+            <div className="mb-4">
+              <span className="inline-flex items-center gap-2 bg-white border border-gray-300 rounded-full px-3 py-1 text-sm">
+                Author: {authorMap[authorFilter]?.name || "Unknown Author"}
+                <button
+                  onClick={clearAuthorFilter}
+                  className="text-gray-500 hover:text-gray-800"
+                  aria-label="Show all authors"
+                >
+                  ×
+                </button>
+              </span>
+            </div>
+          )}
+          {shownBooks.length > 0 ? (
+            <HighlightContext.Provider value={storeBooksHighlight}>
+              <Table
+                data={shownBooks}
+                columns={columns}
+                exportName={`${currentStore.name} inventory`}
+                tableId="store-inventory"
+                bulkActions={bulkActions}
+              />
+            </HighlightContext.Provider>
           ) : (
-            <p className="text-gray-600">No books found in this store.</p>
+            <EmptyState
+              message={
+                searchTerm || authorFilter
+                  ? "No books in this store match your search."
+                  : "No books found in this store."
+              }
+              actionLabel="Add to inventory"
+              onAction={isAuthenticated ? openAddModal : undefined}
+            />
           )}
-        </p>
+        </div>
       ) : (
-        <p className="text-gray-600">No authors with books in this store.</p>
+        <div className="text-gray-600">
+          {filteredAuthors.length > 0 ? (
+            <HighlightContext.Provider value={authorsHighlight}>
+              <Table
+                data={filteredAuthors}
+                columns={authorColumns}
+                exportName={`${currentStore.name} authors`}
+                tableId="store-authors"
+                onRowClick={(e, author) => showAuthorBooks(author)}
+              />
+            </HighlightContext.Provider>
+          ) : (
+            <EmptyState
+              message={
+                searchTerm
+                  ? "No authors in this store match your search."
+                  : "No authors with books in this store."
+              }
+            />
+          )}
+        </div>
       )}
 
       <Modal
@@ -227,7 +431,6 @@ const Inventory = () => {
         save={handleAddBook}
         cancel={closeAddModal}
         show={showAddModal}
-        setShow={setShowAddModal}
       >
         <div className="flex flex-col gap-4 w-full">
           <div>
@@ -300,7 +503,6 @@ const Inventory = () => {
         save={handleSaveEdit}
         cancel={closeEditModal}
         show={showEditModal}
-        setShow={setShowEditModal}
       >
         <div className="flex flex-col gap-4 w-full">
           <div>
@@ -345,7 +547,6 @@ const Inventory = () => {
         save={confirmDelete}
         cancel={closeDeleteModal}
         show={showDeleteModal}
-        setShow={setShowDeleteModal}
       >
         <div className="flex flex-col gap-4 w-full">
           <div className="p-4 bg-red-50 border border-red-200 rounded">
@@ -371,6 +572,40 @@ const Inventory = () => {
           </p>
         </div>
       </Modal>
+
+      {/* Bulk actions on the selected rows */}
+      <Modal
+        title="Remove Books from Store"
+        save={confirmBulkRemove}
+        cancel={() => setBulkRemoving(null)}
+        show={bulkRemoving !== null}
+        saveLabel={bulkSaving ? "Removing..." : "Remove"}
+        saveDisabled={bulkSaving}
+      >
+        <div className="flex flex-col gap-4 w-full">
+          <p className="text-gray-800 font-medium">
+            Remove {bulkRemoving?.length} books from {currentStore.name}?
+          </p>
+          <ul className="text-sm text-gray-600 list-disc ps-5">
+            {(bulkRemoving || []).slice(0, BULK_PREVIEW_LIMIT).map((book) => (
+              <li key={book.id}>
+                {book.name} (${book.price})
+              </li>
+            ))}
+            {bulkRemoving?.length > BULK_PREVIEW_LIMIT && (
+              <li>and {bulkRemoving.length - BULK_PREVIEW_LIMIT} more</li>
+            )}
+          </ul>
+          <p className="text-sm text-gray-600">
+            The books stay in the catalog and in other stores.
+          </p>
+        </div>
+      </Modal>
+      <BulkPriceChange
+        show={bulkPricing !== null}
+        items={bulkPricing ? inventoryFor(bulkPricing) : []}
+        onClose={() => setBulkPricing(null)}
+      />
     </div>
   );
 };
@@ -6,6 +6,37 @@ import { useSearchParams } from 'react-router-dom';
 import Modal from '../components/Modal';
 import TableActions from '../components/ActionButton/TableActions';
 import { useNavigate } from 'react-router-dom';
+import useLibraryData from '../hooks/useLibraryData';
+import useTableQuery from '../hooks/useTableQuery';
+import useLibrary from '../hooks/useLibrary';
+import { useAuth } from '../contexts/AuthProvider';
+import DeleteConfirmation from '../components/DeleteConfirmation';
+import { fieldErrors } from '../services/schemas';
+import useSearch from '../hooks/useSearch';
+import HighlightContext from '../contexts/HighlightContext';
+import ImportWizard from '../components/ImportWizard';
+import ErrorState from '../components/ErrorState';
+import EmptyState from '../components/EmptyState';
+import usePaletteCommand from '../hooks/usePaletteCommand';
+import AddressFields from '../components/AddressFields';
+import { EMPTY_ADDRESS, addressErrors, normalizeAddress } from '../services/address';
+
+const withFullAddress = (store) => ({
+  ...store,
+  full_address: `${store.address_1}${store.address_2 ? `, ${store.address_2}` : ''}, ${store.city}, ${store.state} ${store.zip}`,
+});
+
+const EMPTY_STORE = { name: '', ...EMPTY_ADDRESS };
+
+// Form values as a store record
+const toStoreRecord = (form) => ({
+  name: form.name.trim(),
+  ...normalizeAddress(form),
+});
+
+// Distinct values of a field, for the select filters in server mode
+const distinct = (records, field) =>
+  [...new Set(records.map((record) => record[field]).filter(Boolean))].sort();
 
 const Stores = () => {
   const navigate = useNavigate();
@@ -16,16 +47,19 @@ const Stores = () => {
   };  
 
   // State declarations
-  const [stores, setStores] = useState([]);
-  const [searchParams, setSearchParams] = useSearchParams();
+  const { stores, repositories, status, error, retry } = useLibraryData({
+    requires: ['stores'],
+  });
+  const [searchParams] = useSearchParams();
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
-  const [editingRowId, setEditingRowId] = useState(null);
-  const [editName, setEditName] = useState('');
   const [showModal, setShowModal] = useState(false);
-  const [newStore, setNewStore] = useState({
-    name: '',
-    address: '',
-  });
+  const [showImport, setShowImport] = useState(false);
+  const [deletingStores, setDeletingStores] = useState(null);
+  const { isAuthenticated } = useAuth();
+  const { dataSource } = useLibrary();
+  const [newStore, setNewStore] = useState(EMPTY_STORE);
+  const [newStoreErrors, setNewStoreErrors] = useState({});
+  usePaletteCommand('add', () => setShowModal(true), isAuthenticated);
 
   // Sync search term with URL query parameters
   useEffect(() => {
@@ -33,33 +67,22 @@ const Stores = () => {
     setSearchTerm(search);
   }, [searchParams]);
 
-  // Fetch stores data
-  useEffect(() => {
-    fetch('/data/stores.json')
-      .then((response) => response.json())
-      .then((data) => {
-        console.log('Fetched stores:', data);
-        setStores(Array.isArray(data) ? data : [data]);
-      })
-      .catch((error) => console.error('Error fetching stores:', error));
-  }, []);
-
-  // Enrich stores with computed address and filter based on search term
-  const filteredStores = useMemo(() => {
-    const enrichedStores = stores.map((store) => ({
-      ...store,
-      full_address: `${store.address_1}${store.address_2 ? `, ${store.address_2}` : ''}, ${store.city}, ${store.state} ${store.zip}`,
-    }));
-
-    if (!searchTerm.trim()) return enrichedStores;
+  // With the REST API the server pages, sorts and filters the table
+  const serverMode = dataSource === 'rest';
+  const storeQuery = useTableQuery('stores', {
+    enabled: serverMode,
+    search: searchTerm.trim(),
+    refreshKey: stores,
+  });
 
-    const lowerSearch = searchTerm.toLowerCase();
-    return enrichedStores.filter((store) =>
-      Object.values(store).some((value) =>
-        String(value).toLowerCase().includes(lowerSearch)
-      )
-    );
-  }, [stores, searchTerm]);
+  // Enrich stores with computed address and rank them by the search term; in
+  // server mode the API has already searched and ordered the page
+  const enrichedStores = useMemo(
+    () => (serverMode ? storeQuery.data : stores).map(withFullAddress),
+    [serverMode, storeQuery.data, stores]
+  );
+  const { records: matchedStores, fragments } = useSearch(enrichedStores, searchTerm, 'stores');
+  const filteredStores = serverMode ? enrichedStores : matchedStores;
 
   // Define table columns
   const columns = useMemo(
@@ -68,170 +91,117 @@ const Stores = () => {
       {
         header: 'Name',
         accessorKey: 'name',
-        cell: ({ row }) =>
-          editingRowId === row.original.id ? (
-            <input
-              type="text"
-              value={editName}
-              onChange={(e) => setEditName(e.target.value)}
-              onKeyDown={(e) => {
-                if (e.key === 'Enter') handleSave(row.original.id);
-                if (e.key === 'Escape') handleCancel();
-              }}
-              className="border border-gray-300 rounded p-1 w-full focus:outline-none focus:ring-2 focus:ring-blue-500"
-              autoFocus
-            />
-          ) : (
-            row.original.name
-          ),
+        meta: { filterVariant: 'text', editor: 'text' },
+      },
+      {
+        header: 'Address',
+        accessorKey: 'full_address',
+        meta: {
+          filterVariant: 'text',
+          queryField: 'address_1',
+          editor: 'address',
+          validate: (address) => Object.values(addressErrors(address))[0],
+        },
+      },
+      {
+        header: 'City',
+        accessorKey: 'city',
+        meta: { filterVariant: 'select', filterOptions: serverMode ? distinct(stores, 'city') : undefined },
+      },
+      {
+        header: 'State',
+        accessorKey: 'state',
+        meta: { filterVariant: 'select', filterOptions: serverMode ? distinct(stores, 'state') : undefined },
       },
-      { header: 'Address', accessorKey: 'full_address' },
       {
         header: 'Actions',
         id: 'actions',
-        cell: ({ row }) => (
+        cell: ({ row, table }) => (
           <TableActions
             row={row}
-            onEdit={
-              editingRowId === row.original.id
-                ? handleCancel
-                : () => handleEdit(row.original)
-            }
-            onDelete={() => deleteStore(row.original.id, row.original.name)}
+            onEdit={() => table.options.meta.startEditing(row.original)}
+            onDelete={() => deleteStore(row.original)}
           />
         ),
       },
     ],
-    [editingRowId, editName]
+    [serverMode, stores]
   );
 
-  // Handle store deletion
-  const deleteStore = (id, name) => {
-    if (window.confirm(`Are you sure you want to delete "${name}"?`)) {
-      setStores((prevStores) => prevStores.filter((store) => store.id !== id));
-      setEditingRowId(null);
-      setEditName('');
-    }
+  // Handle store deletion; the confirmation lists the inventory it removes
+  const deleteStore = (store) => {
+    setDeletingStores([store]);
   };
 
-  // Initiate editing
-  const handleEdit = (store) => {
-    setEditingRowId(store.id);
-    setEditName(store.name);
-  };
+  const bulkActions = isAuthenticated
+    ? [{ label: 'Delete selected', danger: true, onClick: setDeletingStores }]
+    : [];
 
-  // Save edited name
-  const handleSave = (id) => {
-    setStores(
-      stores.map((store) =>
-        store.id === id ? { ...store, name: editName } : store
-      )
-    );
-    setEditingRowId(null);
-    setEditName('');
-  };
-
-  // Cancel editing
-  const handleCancel = () => {
-    setEditingRowId(null);
-    setEditName('');
-  };
+  const closeDelete = () => setDeletingStores(null);
 
   // Modal controls
   const openModal = () => setShowModal(true);
   const closeModal = () => {
     setShowModal(false);
-    setNewStore({
-      name: '',
-      address: '',
-    });
-  };
-
-  // Parse address to extract address_1, address_2, city, state, and zip
-  const parseAddress = (address) => {
-    if (!address || address.trim() === '') {
-      return { address_1: '', address_2: '', city: '', state: '', zip: '' };
-    }
-
-    // Split the address by commas
-    const parts = address.split(',').map((part) => part.trim());
-
-
-    if (parts.length < 3) {
-      return { address_1: address, address_2: '', city: '', state: '', zip: '' };
-    }
-
-    // Last part should be "state zip"
-    const lastPart = parts[parts.length - 1].trim();
-    const stateZipMatch = lastPart.match(/(\w+)\s+(\d{5})/);
-    let state = '';
-    let zip = '';
-    if (stateZipMatch) {
-      state = stateZipMatch[1];
-      zip = stateZipMatch[2];
-    } else {
-      state = lastPart;
-      zip = '';
-    }
-
-    const city = parts[parts.length - 2];
-
-    const address_1 = parts[0];
-    const address_2 = parts.length > 3 ? parts[1] : '';
-
-    return { address_1, address_2, city, state, zip };
+    setNewStore(EMPTY_STORE);
+    setNewStoreErrors({});
   };
 
   // Add new store
-  const handleAddNew = () => {
-    if (newStore.name.trim() === '' || newStore.address.trim() === '') {
-      alert('Store Name and Address are required');
-      return;
-    }
-
-    // Parse the address to extract fields
-    const { address_1, address_2, city, state, zip } = parseAddress(newStore.address);
-
-    if (!city || !state || !zip) {
-      alert('Address must include city, state, and zip (e.g., "123 Main St, Athens, GA 30605")');
-      return;
-    }
-
-    const newId = stores.length > 0 ? Math.max(...stores.map((s) => s.id)) + 1 : 1;
-    const newStoreObject = {
-      id: newId,
-      name: newStore.name,
-      address_1,
-      address_2,
-      city,
-      state,
-      zip,
+  const handleAddNew = async () => {
+    const record = toStoreRecord(newStore);
+    const errors = {
+      ...fieldErrors('stores', record, { skip: ['id'] }),
+      ...addressErrors(record),
     };
+    setNewStoreErrors(errors);
+    if (Object.keys(errors).length > 0) return;
 
-    setStores((prevStores) => [...prevStores, newStoreObject]);
-    setNewStore({
-      name: '',
-      address: '',
-    });
-    closeModal();
+    if (await repositories.stores.create(record)) closeModal();
   };
   const onRowClick = (e, rw) => {
     handleViewStoreInventory(rw.id);
 }
   return (
     <div className="py-6">
-      <Header addNew={openModal} title="Stores List" />
-      {stores.length > 0 ? (
-        <Table data={filteredStores} columns={columns} onRowClick={onRowClick} />
-      ) : (
-        <Loading />
+      <Header
+        addNew={openModal}
+        onImport={() => setShowImport(true)}
+        title="Stores List"
+        searchScope="stores"
+      />
+      {status === 'loading' && <Loading />}
+      {status === 'error' && <ErrorState error={error} onRetry={retry} />}
+      {status === 'success' && storeQuery.error && (
+        <ErrorState error={storeQuery.error} onRetry={storeQuery.retry} />
       )}
+      {status === 'success' &&
+        !storeQuery.error &&
+        (stores.length > 0 ? (
+          <HighlightContext.Provider value={fragments}>
+            <Table
+              data={filteredStores}
+              columns={columns}
+              onRowClick={onRowClick}
+              exportName="stores"
+              tableId="stores"
+              bulkActions={bulkActions}
+              manual={serverMode}
+              rowCount={storeQuery.rowCount}
+              loading={storeQuery.loading}
+              onQueryChange={storeQuery.onQueryChange}
+              onRowSave={(store, changes) => repositories.stores.update(store.id, changes)}
+              validateRow={(store) => fieldErrors('stores', store)}
+            />
+          </HighlightContext.Provider>
+        ) : (
+          <EmptyState message="There are no stores yet." />
+        ))}
       <Modal
         title="New Store"
         save={handleAddNew}
         cancel={closeModal}
         show={showModal}
-        setShow={setShowModal}
       >
         <div className="flex flex-col gap-4 w-full">
           <div>
@@ -247,23 +217,31 @@ const Stores = () => {
               placeholder="Enter Store Name"
               required
             />
+            {newStoreErrors.name && <p className="mt-1 text-sm text-red-500">{newStoreErrors.name}</p>}
           </div>
-          <div>
-            <label htmlFor="address" className="block text-gray-700 font-medium mb-1">
-              Address
-            </label>
-            <input
-              id="address"
-              type="text"
-              value={newStore.address}
-              onChange={(e) => setNewStore({ ...newStore, address: e.target.value })}
-              className="border border-gray-300 rounded p-2 w-full"
-              placeholder="e.g., 123 Main St, 2nd Floor, Athens, GA 30605"
-              required
-            />
-          </div>
+          <AddressFields
+            value={newStore}
+            onChange={(address) => setNewStore({ ...newStore, ...address })}
+            errors={newStoreErrors}
+            idPrefix="new_store"
+          />
         </div>
       </Modal>
+      <DeleteConfirmation
+        show={deletingStores !== null}
+        collection="stores"
+        records={deletingStores}
+        label={
+          deletingStores?.length === 1 ? deletingStores[0].name : `${deletingStores?.length} stores`
+        }
+        onClose={closeDelete}
+      />
+      <ImportWizard
+        show={showImport}
+        collection="stores"
+        label="Stores"
+        onClose={() => setShowImport(false)}
+      />
     </div>
   );
 };
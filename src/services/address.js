@@ -0,0 +1,174 @@
+// src/services/address.js
+// US store addresses: the states with the first three ZIP digits each one
+// uses, validation of address fields against them, and a parser that splits
+// a pasted one-line or multi-line address into fields.
+
+// [code, name, ...ZIP prefix ranges] (inclusive, as three-digit numbers)
+const STATE_TABLE = [
+  ["AL", "Alabama", [350, 369]],
+  ["AK", "Alaska", [995, 999]],
+  ["AZ", "Arizona", [850, 865]],
+  ["AR", "Arkansas", [716, 729]],
+  ["CA", "California", [900, 961]],
+  ["CO", "Colorado", [800, 816]],
+  ["CT", "Connecticut", [60, 69]],
+  ["DE", "Delaware", [197, 199]],
+  ["DC", "District of Columbia", [200, 200], [202, 205], [569, 569]],
+  ["FL", "Florida", [320, 349]],
+  ["GA", "Georgia", [300, 319], [398, 399]],
+  ["HI", "Hawaii", [967, 968]],
+  ["ID", "Idaho", [832, 838]],
+  ["IL", "Illinois", [600, 629]],
+  ["IN", "Indiana", [460, 479]],
+  ["IA", "Iowa", [500, 528]],
+  ["KS", "Kansas", [660, 679]],
+  ["KY", "Kentucky", [400, 427]],
+  ["LA", "Louisiana", [700, 714]],
+  ["ME", "Maine", [39, 49]],
+  ["MD", "Maryland", [206, 219]],
+  ["MA", "Massachusetts", [10, 27], [55, 55]],
+  ["MI", "Michigan", [480, 499]],
+  ["MN", "Minnesota", [550, 567]],
+  ["MS", "Mississippi", [386, 397]],
+  ["MO", "Missouri", [630, 658]],
+  ["MT", "Montana", [590, 599]],
+  ["NE", "Nebraska", [680, 693]],
+  ["NV", "Nevada", [889, 898]],
+  ["NH", "New Hampshire", [30, 38]],
+  ["NJ", "New Jersey", [70, 89]],
+  ["NM", "New Mexico", [870, 884]],
+  ["NY", "New York", [5, 5], [100, 149]],
+  ["NC", "North Carolina", [270, 289]],
+  ["ND", "North Dakota", [580, 588]],
+  ["OH", "Ohio", [430, 459]],
+  ["OK", "Oklahoma", [730, 732], [734, 749]],
+  ["OR", "Oregon", [970, 979]],
+  ["PA", "Pennsylvania", [150, 196]],
+  ["RI", "Rhode Island", [28, 29]],
+  ["SC", "South Carolina", [290, 299]],
+  ["SD", "South Dakota", [570, 577]],
+  ["TN", "Tennessee", [370, 385]],
+  ["TX", "Texas", [733, 733], [750, 799], [885, 885]],
+  ["UT", "Utah", [840, 847]],
+  ["VT", "Vermont", [50, 54], [56, 59]],
+  ["VA", "Virginia", [201, 201], [220, 246]],
+  ["WA", "Washington", [980, 994]],
+  ["WV", "West Virginia", [247, 268]],
+  ["WI", "Wisconsin", [530, 549]],
+  ["WY", "Wyoming", [820, 831]],
+];
+
+export const US_STATES = STATE_TABLE.map(([code, name, ...zipPrefixes]) => ({
+  code,
+  name,
+  zipPrefixes,
+}));
+
+export const EMPTY_ADDRESS = { address_1: "", address_2: "", city: "", state: "", zip: "" };
+
+// Address fields as stored: trimmed, an empty second line as null and the
+// state code upper-case
+export const normalizeAddress = ({ address_1, address_2, city, state, zip }) => ({
+  address_1: (address_1 ?? "").trim(),
+  address_2: (address_2 ?? "").trim() || null,
+  city: (city ?? "").trim(),
+  state: (state ?? "").trim().toUpperCase(),
+  zip: (zip ?? "").trim(),
+});
+
+const statesByCode = new Map(US_STATES.map((state) => [state.code, state]));
+
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+// State of a (valid) ZIP code, from its first three digits
+export const stateForZip = (zip) => {
+  if (!ZIP_PATTERN.test(zip ?? "")) return null;
+  const prefix = Number(zip.slice(0, 3));
+  return (
+    US_STATES.find((state) =>
+      state.zipPrefixes.some(([from, to]) => prefix >= from && prefix <= to)
+    ) || null
+  );
+};
+
+/**
+ * Checks address fields (address_1, city, state, zip) and that the ZIP code
+ * belongs to the state.
+ *
+ * @returns {Object} { field: "field message" }, like schemas.fieldErrors
+ */
+export const addressErrors = ({ address_1, city, state, zip }) => {
+  const errors = {};
+  if (!address_1?.trim()) errors.address_1 = "address_1 is required";
+  if (!city?.trim()) errors.city = "city is required";
+
+  const knownState = statesByCode.get((state ?? "").trim().toUpperCase());
+  if (!state?.trim()) errors.state = "state is required";
+  else if (!knownState) errors.state = "state is not a US state code";
+
+  const trimmedZip = (zip ?? "").trim();
+  if (!trimmedZip) errors.zip = "zip is required";
+  else if (!ZIP_PATTERN.test(trimmedZip)) errors.zip = "zip must be 12345 or 12345-6789";
+  else if (knownState && stateForZip(trimmedZip)?.code !== knownState.code) {
+    const zipState = stateForZip(trimmedZip);
+    errors.zip = zipState
+      ? `zip ${trimmedZip} is in ${zipState.code}, not ${knownState.code}`
+      : `zip ${trimmedZip} is not a US ZIP code`;
+  }
+  return errors;
+};
+
+// Longest names first, so "West Virginia" wins over "Virginia"
+const STATE_NAMES = [...US_STATES].sort((a, b) => b.name.length - a.name.length);
+const ZIP_AT_END = /[\s,]*(\d{5}(?:-\d{4})?)\s*$/;
+const COUNTRY_AT_END = /[\s,]*(?:USA|U\.S\.A\.|US|United States(?: of America)?)\.?\s*$/i;
+
+// Removes a state name or code from the end of `text`
+const takeState = (text) => {
+  const byName = STATE_NAMES.find((state) =>
+    new RegExp(`(^|[\\s,])${state.name}\\.?$`, "i").test(text)
+  );
+  if (byName) return { state: byName, rest: text.slice(0, -byName.name.length).replace(/[\s,]+$/, "") };
+  const code = text.match(/(?:^|[\s,])([A-Za-z]{2})\.?$/);
+  const byCode = code && statesByCode.get(code[1].toUpperCase());
+  if (byCode) return { state: byCode, rest: text.slice(0, code.index).replace(/[\s,]+$/, "") };
+  return { state: null, rest: text };
+};
+
+/**
+ * Splits a pasted address such as "12 Oak St, Suite 4, Salt Lake City, UT
+ * 84145-0001" (or the same on several lines) into store address fields. The
+ * state may be a code or a name, or is taken from the ZIP code when missing,
+ * and a trailing "USA" is dropped. Without commas or line breaks the street
+ * and city can't be told apart, so the city is left empty.
+ *
+ * @returns {{ address_1: string, address_2: string, city: string, state: string, zip: string }}
+ */
+export const parseAddress = (text = "") => {
+  let rest = text
+    .split(/\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(", ")
+    .replace(/\s+/g, " ")
+    .replace(COUNTRY_AT_END, "");
+
+  const zipMatch = rest.match(ZIP_AT_END);
+  const zip = zipMatch ? zipMatch[1] : "";
+  if (zipMatch) rest = rest.slice(0, zipMatch.index);
+
+  const { state, rest: withoutState } = takeState(rest.replace(/[\s,]+$/, ""));
+  const parts = withoutState
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const city = parts.length > 1 ? parts.pop() : "";
+
+  return {
+    address_1: parts[0] || "",
+    address_2: parts.slice(1).join(", "),
+    city,
+    state: (state || stateForZip(zip))?.code || "",
+    zip,
+  };
+};
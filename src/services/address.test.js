@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { addressErrors, normalizeAddress, parseAddress, stateForZip } from "./address";
+
+const VALID = { address_1: "1 Canal St", city: "New Orleans", state: "LA", zip: "70142" };
+
+describe("stateForZip", () => {
+  it("finds the state from the first three digits", () => {
+    expect(stateForZip("70142")?.code).toBe("LA");
+    expect(stateForZip("84145-0001")?.code).toBe("UT");
+    expect(stateForZip("02134")?.code).toBe("MA");
+  });
+
+  it("returns null for malformed or unassigned ZIP codes", () => {
+    expect(stateForZip("7014")).toBeNull();
+    expect(stateForZip("00100")).toBeNull();
+    expect(stateForZip(undefined)).toBeNull();
+  });
+});
+
+describe("addressErrors", () => {
+  it("accepts a complete address", () => {
+    expect(addressErrors(VALID)).toEqual({});
+    expect(addressErrors({ ...VALID, state: " la ", zip: "70142-1234" })).toEqual({});
+  });
+
+  it("requires every field but the second line", () => {
+    expect(addressErrors({ address_1: " ", city: "", state: "", zip: "" })).toEqual({
+      address_1: "address_1 is required",
+      city: "city is required",
+      state: "state is required",
+      zip: "zip is required",
+    });
+  });
+
+  it("rejects unknown state codes", () => {
+    expect(addressErrors({ ...VALID, state: "XX" })).toEqual({
+      state: "state is not a US state code",
+    });
+  });
+
+  it("rejects malformed ZIP codes", () => {
+    expect(addressErrors({ ...VALID, zip: "7014" })).toEqual({
+      zip: "zip must be 12345 or 12345-6789",
+    });
+  });
+
+  it("rejects a ZIP code from another state", () => {
+    expect(addressErrors({ ...VALID, state: "TX" })).toEqual({
+      zip: "zip 70142 is in LA, not TX",
+    });
+    expect(addressErrors({ ...VALID, zip: "00100" })).toEqual({
+      zip: "zip 00100 is not a US ZIP code",
+    });
+  });
+});
+
+describe("normalizeAddress", () => {
+  it("trims, upper-cases the state and stores an empty second line as null", () => {
+    expect(
+      normalizeAddress({ address_1: " 1 Canal St ", address_2: "  ", city: "New Orleans ", state: "la", zip: " 70142" })
+    ).toEqual({ address_1: "1 Canal St", address_2: null, city: "New Orleans", state: "LA", zip: "70142" });
+  });
+
+  it("treats missing fields as empty", () => {
+    expect(normalizeAddress({})).toEqual({ address_1: "", address_2: null, city: "", state: "", zip: "" });
+  });
+});
+
+describe("parseAddress", () => {
+  it("splits a one-line address", () => {
+    expect(parseAddress("12 Oak St, Suite 4, Salt Lake City, UT 84145-0001")).toEqual({
+      address_1: "12 Oak St",
+      address_2: "Suite 4",
+      city: "Salt Lake City",
+      state: "UT",
+      zip: "84145-0001",
+    });
+  });
+
+  it("splits a multi-line address and drops a trailing country", () => {
+    expect(parseAddress("1 Canal St\nNew Orleans, LA 70142\nUSA")).toEqual({
+      address_1: "1 Canal St",
+      address_2: "",
+      city: "New Orleans",
+      state: "LA",
+      zip: "70142",
+    });
+  });
+
+  it("reads state names, preferring the longest", () => {
+    expect(parseAddress("5 Main St, Charleston, West Virginia 25301")).toMatchObject({
+      city: "Charleston",
+      state: "WV",
+    });
+  });
+
+  it("takes the state from the ZIP code when it is missing", () => {
+    expect(parseAddress("1 Canal St, New Orleans 70142")).toMatchObject({
+      city: "New Orleans",
+      state: "LA",
+      zip: "70142",
+    });
+  });
+
+  it("leaves the city empty when nothing separates it from the street", () => {
+    expect(parseAddress("1 Canal St New Orleans LA 70142")).toEqual({
+      address_1: "1 Canal St New Orleans",
+      address_2: "",
+      city: "",
+      state: "LA",
+      zip: "70142",
+    });
+  });
+
+  it("returns empty fields for empty text", () => {
+    expect(parseAddress("")).toEqual({ address_1: "", address_2: "", city: "", state: "", zip: "" });
+  });
+});
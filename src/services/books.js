@@ -0,0 +1,55 @@
+// src/services/books.js
+// The book form shared by the create and edit flows: its values, turning them
+// into a record, and checks that need the rest of the catalog.
+import { fieldErrors } from "./schemas";
+import { normalizeIsbn, sameIsbn } from "./isbn";
+
+export const EMPTY_BOOK_FORM = {
+  name: "",
+  author_id: "",
+  page_count: "",
+  isbn: "",
+  language: "",
+  format: "",
+};
+
+// Form values are strings
+export const bookToForm = (book) => ({
+  name: book.name ?? "",
+  author_id: book.author_id == null ? "" : String(book.author_id),
+  page_count: book.page_count == null ? "" : String(book.page_count),
+  isbn: book.isbn ?? "",
+  language: book.language ?? "",
+  format: book.format ?? "",
+});
+
+// Form values as book fields: trimmed, numbers parsed, empty as null and the
+// ISBN in its stored format
+export const parseBookForm = (form) => ({
+  name: form.name.trim(),
+  author_id: form.author_id === "" ? null : parseInt(form.author_id, 10),
+  page_count: form.page_count === "" ? null : Number(form.page_count),
+  isbn: normalizeIsbn(form.isbn) || null,
+  language: form.language.trim() || null,
+  format: form.format.trim() || null,
+});
+
+/**
+ * Schema problems of a book, plus an ISBN another book already has.
+ *
+ * @param {Object} book - fields to check; `id` is the book being edited, if any
+ * @param {Object[]} books - the catalog
+ * @returns {Object} { field: "field message" }
+ */
+export const bookErrors = (book, books) => {
+  const errors = fieldErrors("books", book, { skip: ["id"] });
+  if (!errors.isbn && book.isbn) {
+    const duplicate = books.find((other) => other.id !== book.id && sameIsbn(other.isbn, book.isbn));
+    if (duplicate) errors.isbn = `isbn is already used by "${duplicate.name}"`;
+  }
+  return errors;
+};
+
+// Distinct values of a field across the catalog, for pickers
+export const catalogValues = (books, field) =>
+  [...new Set(books.map((book) => book[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b));
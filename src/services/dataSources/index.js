@@ -0,0 +1,26 @@
+// src/services/dataSources/index.js
+// Picks the data source from VITE_DATA_SOURCE ("static" by default, or "rest").
+// Every source exposes the same interface:
+//   load(collection)             -> every record in the collection
+//   query(collection, query)     -> { records, total }: one page, sorted and
+//                                   filtered (see ../query.js)
+//   create(collection, fields)   -> saved record with its new id
+//   createMany(collection, list) -> saved records, written as one batch
+//   update(collection, record)   -> saved record
+//   remove(collection, id)
+//   reset()                      -> restore the seed data (reload afterwards)
+import { createStaticSource } from "./staticSource";
+import { createRestSource } from "./restSource";
+
+const SOURCES = {
+  static: createStaticSource,
+  rest: createRestSource,
+};
+
+export const createDataSource = (name = import.meta.env.VITE_DATA_SOURCE) => {
+  const factory = SOURCES[name || "static"];
+  if (!factory) {
+    throw new Error(`Unknown data source "${name}"`);
+  }
+  return factory();
+};
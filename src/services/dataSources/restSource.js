@@ -0,0 +1,74 @@
+// src/services/dataSources/restSource.js
+// REST data source: GET/POST/PUT/DELETE /api/<collection>[/:id].
+// During development the endpoints are served by mock-server/mockApi.js.
+import { toSearchParams } from "../query";
+
+const API_BASE = import.meta.env.VITE_API_BASE_URL || "/api";
+
+export class ApiError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Resolves to the parsed body and the response (for its headers)
+const send = async (path, { method = "GET", body } = {}) => {
+  let response;
+  try {
+    response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers: body ? { "Content-Type": "application/json" } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch (error) {
+    throw new ApiError(`Network error on ${method} ${path}: ${error.message}`, 0);
+  }
+
+  const payload =
+    response.status === 204 ? null : await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new ApiError(
+      payload?.error || `${method} ${path} failed (${response.status})`,
+      response.status,
+      payload?.details
+    );
+  }
+  return { payload, response };
+};
+
+const request = async (path, options) => (await send(path, options)).payload;
+
+export const createRestSource = () => ({
+  name: "rest",
+
+  load: (collection) => request(`/${collection}`),
+
+  // One page; the server reports the number of matches in X-Total-Count
+  query: async (collection, query) => {
+    const { payload, response } = await send(`/${collection}?${toSearchParams(query)}`);
+    const total = response.headers.get("X-Total-Count");
+    return { records: payload, total: total === null ? payload.length : Number(total) };
+  },
+
+  create: (collection, fields) =>
+    request(`/${collection}`, { method: "POST", body: fields }),
+
+  // POSTing an array creates every record in one request
+  createMany: (collection, fieldsList) =>
+    request(`/${collection}`, { method: "POST", body: fieldsList }),
+
+  update: (collection, record) =>
+    request(`/${collection}/${record.id}`, { method: "PUT", body: record }),
+
+  remove: async (collection, id) => {
+    await request(`/${collection}/${id}`, { method: "DELETE" });
+  },
+
+  reset: async () => {
+    await request("/_reset", { method: "POST" });
+  },
+});
@@ -0,0 +1,111 @@
+// src/services/dataSources/staticSource.js
+// Static JSON data source: seeds the browser storage from /public/data on
+// first run and writes every mutation through to it.
+import { getStorage } from "../storage";
+import { applyQuery } from "../query";
+import { SEARCH_FIELDS } from "../search";
+
+const fetchSeed = async (collection) => {
+  const response = await fetch(`/data/${collection}.json`);
+  if (!response.ok) {
+    throw new Error(`Failed to load ${collection} seed data (${response.status})`);
+  }
+  const data = await response.json();
+  return Array.isArray(data) ? data : [data];
+};
+
+const seedCollection = async (storage, collection) => {
+  await storage.putAll(collection, await fetchSeed(collection));
+  await storage.markSeeded(collection);
+};
+
+const seeding = {};
+
+const ensureSeeded = async (storage, collection) => {
+  // Several callers may load at once; only seed a single time
+  if (!seeding[collection]) {
+    seeding[collection] = (async () => {
+      if (!(await storage.isSeeded(collection))) {
+        await seedCollection(storage, collection);
+      }
+    })().finally(() => {
+      delete seeding[collection];
+    });
+  }
+  await seeding[collection];
+};
+
+const maxId = (records) =>
+  records.reduce((max, record) => Math.max(max, record.id), 0);
+
+export const createStaticSource = () => {
+  // Highest id seen per collection; new records take the next one
+  const lastIds = {};
+
+  const load = async (collection) => {
+    const storage = await getStorage();
+    await ensureSeeded(storage, collection);
+    const records = await storage.getAll(collection);
+    // Never below an id already handed out to a write still in flight
+    lastIds[collection] = Math.max(lastIds[collection] ?? 0, maxId(records));
+    return records;
+  };
+
+  // Reserves `count` ids and returns the first. A collection created into
+  // before it was loaded is read (and seeded) first, so the ids continue from
+  // what storage holds; the reservation itself happens without awaiting, so
+  // concurrent creates never share an id.
+  const reserveIds = async (collection, count = 1) => {
+    if (lastIds[collection] === undefined) await load(collection);
+    const firstId = lastIds[collection] + 1;
+    lastIds[collection] += count;
+    return firstId;
+  };
+
+  return {
+    name: "static",
+
+    load,
+
+    // Everything is local, so the query runs in memory
+    query: async (collection, query) =>
+      applyQuery(await load(collection), query, SEARCH_FIELDS[collection]),
+
+    create: async (collection, fields) => {
+      const record = { ...fields, id: await reserveIds(collection) };
+      const storage = await getStorage();
+      await storage.put(collection, record);
+      return record;
+    },
+
+    // All records are written in a single transaction
+    createMany: async (collection, fieldsList) => {
+      const firstId = await reserveIds(collection, fieldsList.length);
+      const records = fieldsList.map((fields, index) => ({
+        ...fields,
+        id: firstId + index,
+      }));
+      const storage = await getStorage();
+      await storage.putMany(collection, records);
+      return records;
+    },
+
+    update: async (collection, record) => {
+      const storage = await getStorage();
+      await storage.put(collection, record);
+      return record;
+    },
+
+    remove: async (collection, id) => {
+      const storage = await getStorage();
+      await storage.remove(collection, id);
+    },
+
+    // Drop every local edit; the next load re-seeds from the bundled JSON
+    reset: async () => {
+      const storage = await getStorage();
+      await storage.clear();
+      Object.keys(lastIds).forEach((collection) => delete lastIds[collection]);
+    },
+  };
+};
@@ -0,0 +1,172 @@
+// src/services/importer.js
+// Turns uploaded CSV/JSON rows into validated records for a bulk import:
+// guesses the column mapping, coerces values, validates against the entity
+// schema and flags duplicates (books by ISBN, authors by email, stores by
+// address), both against the catalog and within the file itself.
+import { parseCsvObjects } from "../utils/csv";
+import { validateRecord } from "./schemas";
+import { normalizeIsbn, toIsbn13 } from "./isbn";
+import { addressErrors, normalizeAddress } from "./address";
+
+// Importable fields per collection, with header aliases used to guess the mapping
+export const IMPORT_FIELDS = {
+  books: [
+    { key: "name", label: "Title", aliases: ["title", "book", "bookname"] },
+    { key: "author_id", label: "Author (id or name)", type: "author", aliases: ["author", "authorname", "authorid"] },
+    { key: "isbn", label: "ISBN", aliases: ["isbn10", "isbn13"] },
+    { key: "language", label: "Language", aliases: ["lang"] },
+    { key: "page_count", label: "Pages", type: "integer", aliases: ["pages", "pagecount", "numberofpages"] },
+    { key: "format", label: "Format", aliases: ["binding"] },
+  ],
+  authors: [
+    { key: "first_name", label: "First name", aliases: ["firstname", "first", "givenname"] },
+    { key: "last_name", label: "Last name", aliases: ["lastname", "last", "surname", "familyname"] },
+    { key: "email", label: "Email", aliases: ["mail", "emailaddress"] },
+    { key: "nationality", label: "Nationality", aliases: ["country"] },
+  ],
+  stores: [
+    { key: "name", label: "Store name", aliases: ["store", "storename"] },
+    { key: "address_1", label: "Address line 1", aliases: ["address", "address1", "street"] },
+    { key: "address_2", label: "Address line 2", aliases: ["address2", "suite", "unit"] },
+    { key: "city", label: "City", aliases: ["town"] },
+    { key: "state", label: "State", aliases: ["province", "region"] },
+    { key: "zip", label: "ZIP", aliases: ["zipcode", "postalcode", "postcode"] },
+  ],
+};
+
+const normalize = (value) =>
+  String(value ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+const storeAddressKey = (store) =>
+  [store.address_1, store.address_2, store.city, store.state, store.zip]
+    .map(normalize)
+    .join("|");
+
+// How two records are recognised as the same entity
+const DUPLICATE_KEYS = {
+  // An ISBN-10 and its ISBN-13 are the same book
+  books: { label: "ISBN", key: (book) => toIsbn13(book.isbn) || normalize(book.isbn) },
+  authors: { label: "email", key: (author) => normalize(author.email) },
+  stores: { label: "address", key: storeAddressKey },
+};
+
+// Read an uploaded file's text as a list of plain objects plus its column names
+export const parseImportText = (text, fileName = "") => {
+  const trimmed = text.trim();
+  const looksJson = /\.json$/i.test(fileName) || /^[[{]/.test(trimmed);
+
+  if (looksJson) {
+    const data = JSON.parse(trimmed);
+    const records = (Array.isArray(data) ? data : [data]).filter(
+      (record) => record && typeof record === "object"
+    );
+    const headers = [...new Set(records.flatMap((record) => Object.keys(record)))];
+    return { headers, records };
+  }
+  return parseCsvObjects(text);
+};
+
+// Map each field to the first source column whose name matches it
+export const guessMapping = (collection, headers) =>
+  IMPORT_FIELDS[collection].reduce((mapping, field) => {
+    const candidates = [field.key, field.label, ...field.aliases].map(normalize);
+    mapping[field.key] =
+      headers.find((header) => candidates.includes(normalize(header))) || "";
+    return mapping;
+  }, {});
+
+const coerce = (field, raw, { authorsByName }) => {
+  if (raw === undefined || raw === null) return { value: undefined };
+  const text = String(raw).trim();
+  if (text === "") return { value: undefined };
+
+  switch (field.type) {
+    case "integer": {
+      const value = Number(text);
+      return Number.isInteger(value)
+        ? { value }
+        : { value: text, error: "must be a whole number" };
+    }
+    case "author": {
+      if (/^\d+$/.test(text)) return { value: Number(text) };
+      const id = authorsByName.get(normalize(text));
+      return id ? { value: id } : { value: undefined, error: `unknown author "${text}"` };
+    }
+    default:
+      return { value: text };
+  }
+};
+
+/**
+ * Build preview rows for the import.
+ *
+ * @returns {{ line: number, record: Object, errors: {field, message}[], duplicate: string|null }[]}
+ */
+export const buildImportRows = (collection, sourceRecords, mapping, catalog) => {
+  const authorsByName = new Map(
+    catalog.authors.map((author) => [
+      normalize(`${author.first_name} ${author.last_name}`),
+      author.id,
+    ])
+  );
+  const authorIds = new Set(catalog.authors.map((author) => author.id));
+
+  const duplicateRule = DUPLICATE_KEYS[collection];
+  const existing = new Map();
+  catalog[collection].forEach((record) => {
+    const key = duplicateRule.key(record);
+    if (key) existing.set(key, record.id);
+  });
+  const seenInFile = new Map();
+
+  return sourceRecords.map((source, index) => {
+    const line = index + 1;
+    const record = {};
+    const errors = [];
+
+    IMPORT_FIELDS[collection].forEach((field) => {
+      const column = mapping[field.key];
+      if (!column) return;
+      const { value, error } = coerce(field, source[column], { authorsByName });
+      if (value !== undefined) record[field.key] = value;
+      if (error) errors.push({ field: field.key, message: error });
+    });
+
+    if (collection === "books" && record.author_id && !authorIds.has(record.author_id)) {
+      errors.push({ field: "author_id", message: `no author with id ${record.author_id}` });
+    }
+    if (collection === "books" && record.isbn) {
+      record.isbn = normalizeIsbn(record.isbn);
+    }
+    if (collection === "stores") {
+      Object.assign(record, normalizeAddress(record));
+    }
+
+    const addError = (error) => {
+      if (!errors.some((existingError) => existingError.field === error.field)) {
+        errors.push(error);
+      }
+    };
+    validateRecord(collection, record, { skip: ["id"] }).forEach(addError);
+    if (collection === "stores") {
+      // addressErrors messages start with the field name, which the preview shows already
+      Object.entries(addressErrors(record)).forEach(([field, message]) =>
+        addError({ field, message: message.slice(field.length + 1) })
+      );
+    }
+
+    let duplicate = null;
+    const key = duplicateRule.key(record);
+    if (key) {
+      if (existing.has(key)) {
+        duplicate = `Same ${duplicateRule.label} as existing #${existing.get(key)}`;
+      } else if (seenInFile.has(key)) {
+        duplicate = `Same ${duplicateRule.label} as row ${seenInFile.get(key)}`;
+      } else {
+        seenInFile.set(key, line);
+      }
+    }
+
+    return { line, record, errors, duplicate };
+  });
+};
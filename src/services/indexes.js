@@ -0,0 +1,85 @@
+// src/services/indexes.js
+// Precomputed lookups over the catalog so derived views avoid nested scans.
+// `<collection>ById` maps an id to its record; grouping indexes map a foreign
+// key to the records carrying it. Indexes are rebuilt only on a full load;
+// each mutation copies the Maps of the mutated collection and replaces the
+// touched entries, leaving the indexes earlier renders hold unchanged.
+import { COLLECTIONS } from "./storage";
+
+export const GROUP_INDEXES = {
+  inventoryByStore: { collection: "inventory", key: "store_id" },
+  inventoryByBook: { collection: "inventory", key: "book_id" },
+  booksByAuthor: { collection: "books", key: "author_id" },
+};
+
+export const idIndexName = (collection) => `${collection}ById`;
+
+// Name of the grouping index over `collection` by `key`, if there is one
+export const findGroupIndex = (collection, key) =>
+  Object.keys(GROUP_INDEXES).find(
+    (name) =>
+      GROUP_INDEXES[name].collection === collection && GROUP_INDEXES[name].key === key
+  );
+
+export const buildIndexes = (state) => {
+  const indexes = {};
+  COLLECTIONS.forEach((collection) => {
+    indexes[idIndexName(collection)] = new Map(
+      state[collection].map((record) => [record.id, record])
+    );
+  });
+  Object.entries(GROUP_INDEXES).forEach(([name, { collection, key }]) => {
+    const groups = new Map();
+    state[collection].forEach((record) => {
+      const bucket = groups.get(record[key]);
+      if (bucket) {
+        bucket.push(record);
+      } else {
+        groups.set(record[key], [record]);
+      }
+    });
+    indexes[name] = groups;
+  });
+  return indexes;
+};
+
+const removeFromGroup = (groups, key, id) => {
+  const bucket = groups.get(key);
+  if (!bucket) return;
+  const next = bucket.filter((record) => record.id !== id);
+  if (next.length > 0) {
+    groups.set(key, next);
+  } else {
+    groups.delete(key);
+  }
+};
+
+const addToGroup = (groups, key, record) => {
+  groups.set(key, [...(groups.get(key) || []), record]);
+};
+
+/**
+ * Replace `previous` records of `collection` with `next` ones in every index.
+ * Pass the old versions of updated or removed records as `previous`, and the
+ * saved or added records as `next`. Returns a new indexes object with new
+ * Maps for the changed indexes; `indexes` itself is not modified.
+ */
+export const updateIndexes = (indexes, collection, previous, next) => {
+  const updated = { ...indexes };
+
+  const byIdName = idIndexName(collection);
+  const byId = new Map(indexes[byIdName]);
+  previous.forEach((record) => byId.delete(record.id));
+  next.forEach((record) => byId.set(record.id, record));
+  updated[byIdName] = byId;
+
+  Object.entries(GROUP_INDEXES).forEach(([name, definition]) => {
+    if (definition.collection !== collection) return;
+    const groups = new Map(indexes[name]);
+    previous.forEach((record) => removeFromGroup(groups, record[definition.key], record.id));
+    next.forEach((record) => addToGroup(groups, record[definition.key], record));
+    updated[name] = groups;
+  });
+
+  return updated;
+};
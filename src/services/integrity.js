@@ -0,0 +1,130 @@
+// src/services/integrity.js
+// Referential integrity rules, keyed by the parent collection. Each rule names
+// a child collection, the foreign key pointing at the parent, and what happens
+// to the children when the parent is deleted:
+//   block    - refuse the delete while children exist
+//   cascade  - delete the children too (their own rules apply in turn)
+//   reassign - point the children at another parent chosen at delete time
+// The actions can be changed per app (LibraryProvider's `rules` prop) or per
+// build (VITE_INTEGRITY_RULES), see configureRules.
+import { findGroupIndex } from "./indexes";
+
+export const INTEGRITY_RULES = {
+  authors: [{ collection: "books", foreignKey: "author_id", onDelete: "reassign" }],
+  books: [{ collection: "inventory", foreignKey: "book_id", onDelete: "cascade" }],
+  stores: [{ collection: "inventory", foreignKey: "store_id", onDelete: "cascade" }],
+};
+
+export const DELETE_ACTIONS = ["block", "cascade", "reassign"];
+
+/**
+ * The rules with the delete action of some parent/child pairs changed.
+ *
+ * @param {Object} overrides - { parent: { child: action } }, e.g.
+ *   { authors: { books: "cascade" } } deletes an author's books with them
+ * @param {Object} [base] - the rules to start from
+ * @returns {Object} new rules; throws on an unknown pair or action
+ */
+export const configureRules = (overrides = {}, base = INTEGRITY_RULES) => {
+  const rules = Object.fromEntries(
+    Object.entries(base).map(([parent, parentRules]) => [parent, parentRules.map((rule) => ({ ...rule }))])
+  );
+  Object.entries(overrides).forEach(([parent, children]) => {
+    Object.entries(children).forEach(([child, action]) => {
+      const rule = rules[parent]?.find((candidate) => candidate.collection === child);
+      if (!rule) throw new Error(`No integrity rule from ${parent} to ${child}`);
+      if (!DELETE_ACTIONS.includes(action)) {
+        throw new Error(`Unknown delete action "${action}" for ${parent} -> ${child}`);
+      }
+      rule.onDelete = action;
+    });
+  });
+  return rules;
+};
+
+// Rules with the overrides of VITE_INTEGRITY_RULES (JSON in the configureRules
+// shape) applied, or the defaults without it
+export const rulesFromEnv = (text = import.meta.env?.VITE_INTEGRITY_RULES) => {
+  if (!text) return INTEGRITY_RULES;
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`VITE_INTEGRITY_RULES is not valid JSON: ${error.message}`);
+  }
+  return configureRules(overrides);
+};
+
+export class IntegrityError extends Error {
+  constructor(plan) {
+    const blocked = plan.blocked
+      .map((entry) => `${entry.records.length} ${entry.collection}`)
+      .join(", ");
+    super(
+      blocked
+        ? `Cannot delete ${plan.collection}: still referenced by ${blocked}`
+        : `Choose where to move dependent records before deleting ${plan.collection}`
+    );
+    this.name = "IntegrityError";
+    this.plan = plan;
+  }
+}
+
+/**
+ * Works out what deleting `ids` from `collection` would do to dependent
+ * records, without changing anything.
+ *
+ * @param {Object} state - collections keyed by name
+ * @param {string} collection
+ * @param {number[]} ids
+ * @param {{ rules?: Object, reassignTo?: number|null }} [options]
+ */
+export const planDelete = (
+  state,
+  collection,
+  ids,
+  { rules = INTEGRITY_RULES, reassignTo = null } = {}
+) => {
+  const plan = { collection, ids, blocked: [], cascade: [], reassign: [] };
+
+  // Children of the given parents, from a grouping index when one exists
+  const childrenOf = (rule, parentIds) => {
+    const indexName = findGroupIndex(rule.collection, rule.foreignKey);
+    const groups = indexName && state.indexes?.[indexName];
+    if (groups) {
+      return parentIds.flatMap((id) => groups.get(id) || []);
+    }
+    const parentSet = new Set(parentIds);
+    return state[rule.collection].filter((record) =>
+      parentSet.has(record[rule.foreignKey])
+    );
+  };
+
+  const visit = (parentCollection, parentIds) => {
+    (rules[parentCollection] || []).forEach((rule) => {
+      const records = childrenOf(rule, parentIds);
+      if (records.length === 0) return;
+
+      const entry = { ...rule, parentCollection, records };
+      if (rule.onDelete === "block") {
+        plan.blocked.push(entry);
+      } else if (rule.onDelete === "cascade") {
+        plan.cascade.push(entry);
+        visit(
+          rule.collection,
+          records.map((record) => record.id)
+        );
+      } else if (rule.onDelete === "reassign") {
+        plan.reassign.push({ ...entry, to: reassignTo });
+      }
+    });
+  };
+
+  visit(collection, ids);
+
+  plan.canDelete =
+    plan.blocked.length === 0 &&
+    plan.reassign.every((entry) => entry.to != null && !ids.includes(entry.to));
+
+  return plan;
+};
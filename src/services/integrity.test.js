@@ -0,0 +1,133 @@
+import { describe, expect, it } from "vitest";
+import { INTEGRITY_RULES, IntegrityError, configureRules, planDelete, rulesFromEnv } from "./integrity";
+import { buildIndexes } from "./indexes";
+
+const withIndexes = (collections) => {
+  const state = { users: [], ...collections };
+  return { ...state, indexes: buildIndexes(state) };
+};
+
+const STATE = withIndexes({
+  authors: [
+    { id: 1, first_name: "Ann", last_name: "Lee" },
+    { id: 2, first_name: "Tom", last_name: "Reyes" },
+    { id: 3, first_name: "Ursula", last_name: "Shatliff" },
+  ],
+  books: [
+    { id: 10, name: "Sea of Stars", author_id: 1 },
+    { id: 11, name: "Stars Above", author_id: 1 },
+    { id: 12, name: "Rivers", author_id: 2 },
+  ],
+  stores: [
+    { id: 100, name: "Canal Books" },
+    { id: 101, name: "Riverside" },
+  ],
+  inventory: [
+    { id: 1000, store_id: 100, book_id: 10, price: 10 },
+    { id: 1001, store_id: 101, book_id: 10, price: 12 },
+    { id: 1002, store_id: 100, book_id: 12, price: 8 },
+  ],
+});
+
+const recordIds = (entry) => entry.records.map((record) => record.id);
+
+describe("planDelete", () => {
+  it("deletes a record without dependents right away", () => {
+    const plan = planDelete(STATE, "authors", [3]);
+    expect(plan).toMatchObject({ blocked: [], cascade: [], reassign: [], canDelete: true });
+  });
+
+  it("cascades a book's inventory rows", () => {
+    const plan = planDelete(STATE, "books", [10]);
+    expect(plan.cascade).toHaveLength(1);
+    expect(plan.cascade[0]).toMatchObject({ collection: "inventory", parentCollection: "books" });
+    expect(recordIds(plan.cascade[0])).toEqual([1000, 1001]);
+    expect(plan.canDelete).toBe(true);
+  });
+
+  it("cascades a store's inventory rows", () => {
+    const plan = planDelete(STATE, "stores", [100]);
+    expect(recordIds(plan.cascade[0])).toEqual([1000, 1002]);
+  });
+
+  it("asks where an author's books go before deleting", () => {
+    const plan = planDelete(STATE, "authors", [1]);
+    expect(plan.reassign).toHaveLength(1);
+    expect(plan.reassign[0]).toMatchObject({ collection: "books", foreignKey: "author_id", to: null });
+    expect(recordIds(plan.reassign[0])).toEqual([10, 11]);
+    expect(plan.canDelete).toBe(false);
+  });
+
+  it("allows the delete once another author is chosen", () => {
+    expect(planDelete(STATE, "authors", [1], { reassignTo: 2 }).canDelete).toBe(true);
+  });
+
+  it("does not reassign to an author being deleted", () => {
+    expect(planDelete(STATE, "authors", [1, 2], { reassignTo: 2 }).canDelete).toBe(false);
+  });
+
+  it("blocks while children exist under a block rule", () => {
+    const rules = { books: [{ collection: "inventory", foreignKey: "book_id", onDelete: "block" }] };
+    const plan = planDelete(STATE, "books", [10, 11], { rules });
+    expect(plan.blocked).toHaveLength(1);
+    expect(recordIds(plan.blocked[0])).toEqual([1000, 1001]);
+    expect(plan.canDelete).toBe(false);
+    expect(planDelete(STATE, "books", [11], { rules }).canDelete).toBe(true);
+  });
+
+  it("applies the children's own rules when cascading", () => {
+    const rules = {
+      authors: [{ collection: "books", foreignKey: "author_id", onDelete: "cascade" }],
+      books: [{ collection: "inventory", foreignKey: "book_id", onDelete: "block" }],
+    };
+    const plan = planDelete(STATE, "authors", [1], { rules });
+    expect(recordIds(plan.cascade[0])).toEqual([10, 11]);
+    expect(recordIds(plan.blocked[0])).toEqual([1000, 1001]);
+    expect(plan.canDelete).toBe(false);
+  });
+
+  it("finds children without indexes", () => {
+    const { indexes: _indexes, ...withoutIndexes } = STATE;
+    expect(recordIds(planDelete(withoutIndexes, "books", [10]).cascade[0])).toEqual([1000, 1001]);
+  });
+});
+
+describe("IntegrityError", () => {
+  it("names what blocks the delete", () => {
+    const rules = { books: [{ collection: "inventory", foreignKey: "book_id", onDelete: "block" }] };
+    const error = new IntegrityError(planDelete(STATE, "books", [10], { rules }));
+    expect(error.name).toBe("IntegrityError");
+    expect(error.message).toBe("Cannot delete books: still referenced by 2 inventory");
+  });
+
+  it("asks for a target when only a reassignment is missing", () => {
+    const error = new IntegrityError(planDelete(STATE, "authors", [1]));
+    expect(error.message).toBe("Choose where to move dependent records before deleting authors");
+  });
+});
+
+describe("configureRules", () => {
+  it("switches the action of a rule", () => {
+    const rules = configureRules({ books: { inventory: "block" } });
+    expect(rules.books[0]).toMatchObject({ collection: "inventory", onDelete: "block" });
+    expect(planDelete(STATE, "books", [10], { rules }).canDelete).toBe(false);
+  });
+
+  it("leaves the other rules and the defaults unchanged", () => {
+    const rules = configureRules({ authors: { books: "cascade" } });
+    expect(rules.stores).toEqual(INTEGRITY_RULES.stores);
+    expect(INTEGRITY_RULES.authors[0].onDelete).toBe("reassign");
+    expect(planDelete(STATE, "authors", [1], { rules }).canDelete).toBe(true);
+  });
+
+  it("rejects unknown pairs and actions", () => {
+    expect(() => configureRules({ stores: { books: "block" } })).toThrow("No integrity rule from stores to books");
+    expect(() => configureRules({ books: { inventory: "ignore" } })).toThrow('Unknown delete action "ignore"');
+  });
+
+  it("reads overrides from JSON", () => {
+    expect(rulesFromEnv("")).toBe(INTEGRITY_RULES);
+    expect(rulesFromEnv('{"books":{"inventory":"block"}}').books[0].onDelete).toBe("block");
+    expect(() => rulesFromEnv("{books")).toThrow("VITE_INTEGRITY_RULES is not valid JSON");
+  });
+});
@@ -0,0 +1,82 @@
+// src/services/isbn.js
+// ISBN-10 and ISBN-13 check digits and conversion. ISBNs are stored the way
+// the seed catalog writes them: the check digit after a hyphen, with the
+// "978"/"979" prefix of an ISBN-13 split off too (247489521-3, 978-247489521-6).
+
+// Digits (and a final X) without hyphens or spaces
+export const isbnDigits = (isbn) => String(isbn ?? "").replace(/[\s-]/g, "").toUpperCase();
+
+const isbn10CheckDigit = (nineDigits) => {
+  const sum = [...nineDigits].reduce((total, digit, index) => total + Number(digit) * (10 - index), 0);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+const isbn13CheckDigit = (twelveDigits) => {
+  const sum = [...twelveDigits].reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3),
+    0
+  );
+  return String((10 - (sum % 10)) % 10);
+};
+
+export const isValidIsbn10 = (isbn) => {
+  const digits = isbnDigits(isbn);
+  return /^\d{9}[\dX]$/.test(digits) && isbn10CheckDigit(digits.slice(0, 9)) === digits[9];
+};
+
+export const isValidIsbn13 = (isbn) => {
+  const digits = isbnDigits(isbn);
+  return /^97[89]\d{10}$/.test(digits) && isbn13CheckDigit(digits.slice(0, 12)) === digits[12];
+};
+
+/**
+ * Why an ISBN is invalid, worded to follow the field name like the schema
+ * messages ("isbn has a wrong check digit"); null when it is a valid ISBN-10 or
+ * ISBN-13.
+ */
+export const isbnError = (isbn) => {
+  const digits = isbnDigits(isbn);
+  if (/^\d{9}[\dX]$/.test(digits)) {
+    return isValidIsbn10(digits) ? null : "has a wrong check digit";
+  }
+  if (/^\d{13}$/.test(digits)) {
+    if (!/^97[89]/.test(digits)) return "must start with 978 or 979 when it has 13 digits";
+    return isValidIsbn13(digits) ? null : "has a wrong check digit";
+  }
+  return "must be an ISBN-10 or ISBN-13";
+};
+
+const format10 = (digits) => `${digits.slice(0, 9)}-${digits[9]}`;
+const format13 = (digits) => `${digits.slice(0, 3)}-${digits.slice(3, 12)}-${digits[12]}`;
+
+// ISBN-13 of a valid ISBN-10 or ISBN-13, formatted; null otherwise
+export const toIsbn13 = (isbn) => {
+  if (isValidIsbn13(isbn)) return format13(isbnDigits(isbn));
+  if (!isValidIsbn10(isbn)) return null;
+  const twelve = `978${isbnDigits(isbn).slice(0, 9)}`;
+  return format13(twelve + isbn13CheckDigit(twelve));
+};
+
+// ISBN-10 of a valid ISBN-10 or 978-prefixed ISBN-13, formatted; null otherwise
+// (979 ISBNs have no ISBN-10)
+export const toIsbn10 = (isbn) => {
+  if (isValidIsbn10(isbn)) return format10(isbnDigits(isbn));
+  const digits = isbnDigits(isbn);
+  if (!isValidIsbn13(digits) || !digits.startsWith("978")) return null;
+  const nine = digits.slice(3, 12);
+  return format10(nine + isbn10CheckDigit(nine));
+};
+
+// A valid ISBN in the stored format, keeping its length; anything else as typed
+export const normalizeIsbn = (isbn) => {
+  if (isValidIsbn10(isbn)) return toIsbn10(isbn);
+  if (isValidIsbn13(isbn)) return toIsbn13(isbn);
+  return String(isbn ?? "").trim();
+};
+
+// Whether two ISBNs name the same book, whichever form each is written in
+export const sameIsbn = (a, b) => {
+  const first = toIsbn13(a);
+  return first !== null && first === toIsbn13(b);
+};
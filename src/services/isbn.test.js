@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import {
+  isValidIsbn10,
+  isValidIsbn13,
+  isbnError,
+  normalizeIsbn,
+  sameIsbn,
+  toIsbn10,
+  toIsbn13,
+} from "./isbn";
+
+describe("isbn validation", () => {
+  it("accepts ISBN-10s with or without hyphens and spaces", () => {
+    expect(isValidIsbn10("247489521-3")).toBe(true);
+    expect(isValidIsbn10("0-306-40615-2")).toBe(true);
+    expect(isValidIsbn10("0 306 40615 2")).toBe(true);
+  });
+
+  it("accepts an X check digit in either case", () => {
+    expect(isValidIsbn10("0-8044-2957-X")).toBe(true);
+    expect(isValidIsbn10("080442957x")).toBe(true);
+  });
+
+  it("accepts ISBN-13s with a 978 or 979 prefix", () => {
+    expect(isValidIsbn13("978-0-306-40615-7")).toBe(true);
+    expect(isValidIsbn13("979-10-90636-07-1")).toBe(true);
+  });
+
+  it("rejects wrong check digits", () => {
+    expect(isValidIsbn10("0-306-40615-3")).toBe(false);
+    expect(isValidIsbn13("978-0-306-40615-8")).toBe(false);
+  });
+
+  it("explains what is wrong", () => {
+    expect(isbnError("0-306-40615-2")).toBeNull();
+    expect(isbnError("978-0-306-40615-7")).toBeNull();
+    expect(isbnError("0-306-40615-3")).toBe("has a wrong check digit");
+    expect(isbnError("978-0-306-40615-8")).toBe("has a wrong check digit");
+    expect(isbnError("1230306406157")).toBe("must start with 978 or 979 when it has 13 digits");
+    expect(isbnError("12345")).toBe("must be an ISBN-10 or ISBN-13");
+    expect(isbnError("")).toBe("must be an ISBN-10 or ISBN-13");
+  });
+});
+
+describe("isbn conversion", () => {
+  it("converts an ISBN-10 to its ISBN-13 in the stored format", () => {
+    expect(toIsbn13("0-306-40615-2")).toBe("978-030640615-7");
+    expect(toIsbn13("247489521-3")).toBe("978-247489521-4");
+  });
+
+  it("converts a 978 ISBN-13 back to its ISBN-10", () => {
+    expect(toIsbn10("978-0-306-40615-7")).toBe("030640615-2");
+    expect(toIsbn10("9780804429573")).toBe("080442957-X");
+  });
+
+  it("has no ISBN-10 for 979 ISBNs", () => {
+    expect(toIsbn10("979-10-90636-07-1")).toBeNull();
+  });
+
+  it("returns null for invalid ISBNs", () => {
+    expect(toIsbn13("0-306-40615-3")).toBeNull();
+    expect(toIsbn10("not an isbn")).toBeNull();
+  });
+
+  it("round-trips", () => {
+    expect(toIsbn10(toIsbn13("247489521-3"))).toBe("247489521-3");
+  });
+});
+
+describe("normalizeIsbn", () => {
+  it("formats valid ISBNs, keeping their length", () => {
+    expect(normalizeIsbn("0306406152")).toBe("030640615-2");
+    expect(normalizeIsbn("978 0 306 40615 7")).toBe("978-030640615-7");
+  });
+
+  it("keeps anything else as typed, trimmed", () => {
+    expect(normalizeIsbn("  12345 ")).toBe("12345");
+    expect(normalizeIsbn(null)).toBe("");
+  });
+});
+
+describe("sameIsbn", () => {
+  it("matches an ISBN-10 with its ISBN-13", () => {
+    expect(sameIsbn("247489521-3", "978-247489521-4")).toBe(true);
+    expect(sameIsbn("0306406152", "030640615-2")).toBe(true);
+  });
+
+  it("does not match different or invalid ISBNs", () => {
+    expect(sameIsbn("0-306-40615-2", "0-8044-2957-X")).toBe(false);
+    expect(sameIsbn("12345", "12345")).toBe(false);
+  });
+});
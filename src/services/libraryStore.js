@@ -0,0 +1,437 @@
+// src/services/libraryStore.js
+// App-wide entity store. Every page reads the same collections through
+// LibraryProvider, so an edit made anywhere is visible everywhere.
+import { COLLECTIONS } from "./storage";
+import { createDataSource } from "./dataSources";
+import { IntegrityError, planDelete, rulesFromEnv } from "./integrity";
+import { ValidationError, partitionRecords, validateRecord } from "./schemas";
+import { buildIndexes, idIndexName, updateIndexes } from "./indexes";
+
+/**
+ * @typedef {Object} Book
+ * @property {number} id
+ * @property {number} author_id
+ * @property {string} name
+ * @property {string} [isbn]
+ * @property {string} [language]
+ * @property {number} page_count
+ * @property {string} [format]
+ */
+
+/**
+ * @typedef {Object} Author
+ * @property {number} id
+ * @property {string} first_name
+ * @property {string} last_name
+ * @property {string} [email]
+ * @property {string} [nationality]
+ */
+
+/**
+ * @typedef {Object} Store
+ * @property {number} id
+ * @property {string} name
+ * @property {string} address_1
+ * @property {string|null} [address_2]
+ * @property {string} city
+ * @property {string} state
+ * @property {string} zip
+ */
+
+/**
+ * @typedef {Object} InventoryItem
+ * @property {number} id
+ * @property {number} book_id
+ * @property {number} store_id
+ * @property {number} price
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {string} password
+ * @property {string} name
+ * @property {string} email
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Repository
+ * @property {string} collection
+ * @property {() => T[]} getAll
+ * @property {(id: number) => T | undefined} getById
+ * @property {(query: Object) => Promise<{ records: T[], total: number }>} query
+ * @property {(fields: Omit<T, "id">) => Promise<T | null>} create
+ * @property {(fieldsList: Omit<T, "id">[]) => Promise<T[] | null>} createMany
+ * @property {(id: number, changes: Partial<T>) => Promise<T | null>} update
+ * @property {(updates: { id: number, changes: Partial<T> }[]) => Promise<T[] | null>} updateMany
+ * @property {(id: number, options?: { reassignTo?: number }) => Object} planRemove
+ * @property {(ids: number[], options?: { reassignTo?: number }) => Object} planRemoveMany
+ * @property {(id: number, options?: { reassignTo?: number }) => Promise<boolean>} remove
+ * @property {(ids: number[], options?: { reassignTo?: number }) => Promise<boolean>} removeMany
+ */
+
+const EMPTY_COLLECTIONS = COLLECTIONS.reduce((state, collection) => {
+  state[collection] = [];
+  return state;
+}, {});
+
+const INITIAL_STATE = {
+  ...EMPTY_COLLECTIONS,
+  indexes: buildIndexes(EMPTY_COLLECTIONS),
+  // Load state per collection: status is idle | loading | success | error
+  resources: COLLECTIONS.reduce((resources, collection) => {
+    resources[collection] = { status: "idle", error: null };
+    return resources;
+  }, {}),
+  lastError: null,
+  // Records that failed schema validation on load: { key, collection, record, errors }
+  issues: [],
+};
+
+// Mutations resolve to null/false on failure; the error is kept in
+// state.lastError so the layout can report it.
+/** @returns {Repository<any>} */
+const createRepository = (
+  collection,
+  { source, getState, setState, fail, removeWithIntegrity, rules }
+) => ({
+  collection,
+
+  getAll: () => getState()[collection],
+
+  getById: (id) => getState().indexes[idIndexName(collection)].get(id),
+
+  // One page straight from the data source, for server-driven tables. It is
+  // not kept in the store, and rejects when the source fails.
+  query: (query) => source.query(collection, query),
+
+  create: async (fields) => {
+    const errors = validateRecord(collection, fields, { skip: ["id"] });
+    if (errors.length > 0) return fail(new ValidationError(collection, errors));
+    try {
+      const record = await source.create(collection, fields);
+      setState((prev) => applyChanges(prev, { added: { [collection]: [record] } }));
+      return record;
+    } catch (error) {
+      return fail(error);
+    }
+  },
+
+  // Validates every record first; nothing is written unless all are valid
+  createMany: async (fieldsList) => {
+    for (const fields of fieldsList) {
+      const errors = validateRecord(collection, fields, { skip: ["id"] });
+      if (errors.length > 0) return fail(new ValidationError(collection, errors));
+    }
+    try {
+      const records = await source.createMany(collection, fieldsList);
+      setState((prev) => applyChanges(prev, { added: { [collection]: records } }));
+      return records;
+    } catch (error) {
+      return fail(error);
+    }
+  },
+
+  update: async (id, changes) => {
+    const current = getState().indexes[idIndexName(collection)].get(id);
+    if (!current) return null;
+    const errors = validateRecord(collection, { ...current, ...changes, id });
+    if (errors.length > 0) return fail(new ValidationError(collection, errors));
+    try {
+      const record = await source.update(collection, { ...current, ...changes, id });
+      setState((prev) => applyChanges(prev, { updated: { [collection]: [record] } }));
+      return record;
+    } catch (error) {
+      return fail(error);
+    }
+  },
+
+  // Validates every update first; if a write fails part-way, the records
+  // already saved are kept
+  updateMany: async (updates) => {
+    const byId = getState().indexes[idIndexName(collection)];
+    const merged = updates
+      .filter(({ id }) => byId.has(id))
+      .map(({ id, changes }) => ({ ...byId.get(id), ...changes, id }));
+    for (const record of merged) {
+      const errors = validateRecord(collection, record);
+      if (errors.length > 0) return fail(new ValidationError(collection, errors));
+    }
+
+    const saved = [];
+    try {
+      for (const record of merged) {
+        saved.push(await source.update(collection, record));
+      }
+      return saved;
+    } catch (error) {
+      return fail(error);
+    } finally {
+      setState((prev) => applyChanges(prev, { updated: { [collection]: saved } }));
+    }
+  },
+
+  // Dependent records the integrity rules would block, cascade or reassign
+  planRemove: (id, options) =>
+    planDelete(getState(), collection, [id], { rules, ...options }),
+
+  planRemoveMany: (ids, options) =>
+    planDelete(getState(), collection, ids, { rules, ...options }),
+
+  remove: (id, options) => removeWithIntegrity(collection, [id], options),
+
+  removeMany: (ids, options) => removeWithIntegrity(collection, ids, options),
+});
+
+// Apply a batch of completed writes to the collections and their indexes.
+// Each bucket is keyed by collection: added/updated hold records, removed ids.
+const applyChanges = (state, { added = {}, updated = {}, removed = {} }) => {
+  const next = { ...state };
+  let indexes = state.indexes;
+
+  COLLECTIONS.forEach((collection) => {
+    const addedRecords = added[collection] || [];
+    const updatedRecords = updated[collection] || [];
+    const removedIds = removed[collection] || [];
+    if (!addedRecords.length && !updatedRecords.length && !removedIds.length) return;
+
+    const byId = indexes[idIndexName(collection)];
+    const previous = [...updatedRecords.map((record) => record.id), ...removedIds]
+      .map((id) => byId.get(id))
+      .filter(Boolean);
+
+    const updatedById = new Map(updatedRecords.map((record) => [record.id, record]));
+    const removedSet = new Set(removedIds);
+    const kept =
+      updatedById.size || removedSet.size
+        ? state[collection]
+            .filter((item) => !removedSet.has(item.id))
+            .map((item) => updatedById.get(item.id) || item)
+        : state[collection];
+    next[collection] = addedRecords.length ? [...kept, ...addedRecords] : kept;
+
+    indexes = updateIndexes(indexes, collection, previous, [
+      ...updatedRecords,
+      ...addedRecords,
+    ]);
+  });
+
+  next.indexes = indexes;
+  return next;
+};
+
+export const createLibraryStore = (
+  source = createDataSource(),
+  { rules = rulesFromEnv() } = {}
+) => {
+  let state = INITIAL_STATE;
+  const inflight = {};
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const setState = (updater) => {
+    state = updater(state);
+    listeners.forEach((listener) => listener());
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const fail = (error) => {
+    console.error(`Error writing to ${source.name} data source:`, error);
+    setState((prev) => ({ ...prev, lastError: error }));
+    return null;
+  };
+
+  const clearError = () => setState((prev) => ({ ...prev, lastError: null }));
+
+  const setResource = (collection, resource) =>
+    setState((prev) => ({
+      ...prev,
+      resources: { ...prev.resources, [collection]: resource },
+    }));
+
+  // Invalid records are kept out of the collection and listed as issues
+  const applyCollection = (collection, records) =>
+    setState((prev) => {
+      const { valid, issues } = partitionRecords(
+        collection,
+        Array.isArray(records) ? records : [records]
+      );
+      const next = {
+        ...prev,
+        [collection]: valid,
+        issues: [
+          ...prev.issues.filter((issue) => issue.collection !== collection),
+          ...issues.map((issue, index) => ({
+            ...issue,
+            key: `${collection}:${issue.record?.id ?? `#${index}`}`,
+          })),
+        ],
+        resources: {
+          ...prev.resources,
+          [collection]: { status: "success", error: null },
+        },
+      };
+      next.indexes = buildIndexes(next);
+      return next;
+    });
+
+  // Fetch one collection; concurrent callers share the same request
+  const loadCollection = (collection) => {
+    if (!inflight[collection]) {
+      setResource(collection, { status: "loading", error: null });
+      inflight[collection] = source
+        .load(collection)
+        .then((records) => applyCollection(collection, records))
+        .catch((error) => {
+          console.error(`Error loading ${collection}:`, error);
+          setResource(collection, { status: "error", error });
+        })
+        .finally(() => {
+          delete inflight[collection];
+        });
+    }
+    return inflight[collection];
+  };
+
+  const dropIssue = (key) =>
+    setState((prev) => ({
+      ...prev,
+      issues: prev.issues.filter((issue) => issue.key !== key),
+    }));
+
+  // Delete a quarantined record from the data source
+  const discardIssue = async (issue) => {
+    try {
+      if (Number.isInteger(issue.record?.id)) {
+        await source.remove(issue.collection, issue.record.id);
+      }
+      dropIssue(issue.key);
+      return true;
+    } catch (error) {
+      fail(error);
+      return false;
+    }
+  };
+
+  // Save a corrected version of a quarantined record and bring it back
+  const resolveIssue = async (issue, record) => {
+    const errors = validateRecord(issue.collection, record);
+    if (errors.length > 0) return fail(new ValidationError(issue.collection, errors));
+    try {
+      const saved = await source.update(issue.collection, record);
+      dropIssue(issue.key);
+      const exists = getState().indexes[idIndexName(issue.collection)].has(saved.id);
+      setState((prev) =>
+        applyChanges(prev, {
+          [exists ? "updated" : "added"]: { [issue.collection]: [saved] },
+        })
+      );
+      return saved;
+    } catch (error) {
+      return fail(error);
+    }
+  };
+
+  // Load collections that have not been requested yet. Never rejects: a
+  // failure is recorded in resources[collection] for the pages to show.
+  const load = (collections = COLLECTIONS) =>
+    Promise.all(
+      collections.map((collection) =>
+        getState().resources[collection].status === "idle"
+          ? loadCollection(collection)
+          : inflight[collection]
+      )
+    );
+
+  // Reload the given collections, by default every one that failed
+  const retry = (
+    collections = COLLECTIONS.filter(
+      (collection) => getState().resources[collection].status === "error"
+    )
+  ) => Promise.all(collections.map(loadCollection));
+
+  const reset = async () => {
+    try {
+      await source.reset();
+    } catch (error) {
+      return fail(error);
+    }
+    return retry(COLLECTIONS);
+  };
+
+  // Deletes `ids` after reassigning or cascading their dependents. Writes that
+  // already succeeded are kept in state even if a later one fails.
+  const removeWithIntegrity = async (collection, ids, options) => {
+    const plan = planDelete(getState(), collection, ids, { rules, ...options });
+    if (!plan.canDelete) {
+      fail(new IntegrityError(plan));
+      return false;
+    }
+
+    const changes = { updated: {}, removed: {} };
+    const track = (bucket, name, value) => {
+      bucket[name] = bucket[name] || [];
+      bucket[name].push(value);
+    };
+
+    try {
+      for (const entry of plan.reassign) {
+        for (const record of entry.records) {
+          const saved = await source.update(entry.collection, {
+            ...record,
+            [entry.foreignKey]: entry.to,
+          });
+          track(changes.updated, entry.collection, saved);
+        }
+      }
+      // Deepest dependents first, then the records themselves
+      for (const entry of [...plan.cascade].reverse()) {
+        for (const record of entry.records) {
+          await source.remove(entry.collection, record.id);
+          track(changes.removed, entry.collection, record.id);
+        }
+      }
+      for (const id of ids) {
+        await source.remove(collection, id);
+        track(changes.removed, collection, id);
+      }
+      return true;
+    } catch (error) {
+      fail(error);
+      return false;
+    } finally {
+      setState((prev) => applyChanges(prev, changes));
+    }
+  };
+
+  const context = { source, getState, setState, fail, removeWithIntegrity, rules };
+
+  return {
+    dataSource: source.name,
+    getState,
+    subscribe,
+    load,
+    retry,
+    reset,
+    clearError,
+    discardIssue,
+    resolveIssue,
+    /** @type {Repository<Book>} */
+    books: createRepository("books", context),
+    /** @type {Repository<Author>} */
+    authors: createRepository("authors", context),
+    /** @type {Repository<Store>} */
+    stores: createRepository("stores", context),
+    /** @type {Repository<InventoryItem>} */
+    inventory: createRepository("inventory", context),
+    /** @type {Repository<User>} */
+    users: createRepository("users", context),
+  };
+};
@@ -0,0 +1,130 @@
+// src/services/query.js
+// Paged, sorted and filtered reads of a collection, shared by the static data
+// source and the mock API (so this file must stay free of browser-only and
+// extensionless imports). A query is:
+//   { pageIndex, pageSize, sorting: [{ id, desc }], filters, search }
+// where each filter is { field, op, value } with op
+//   "in"       - value is one of a list
+//   "range"    - [min, max], either end may be missing
+//   "contains" - case-insensitive substring
+// and `search` is search box text (see search.js); without sorting, matches
+// come best first. Over HTTP a query travels as
+//   ?page=2&pageSize=10&sort=name,-price&state=GA&state=FL&price_gte=5&name_like=book&q=main
+
+import { createSearchIndex } from "./search.js";
+
+const RESERVED_PARAMS = ["page", "pageSize", "sort", "q"];
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+const matchesFilter = (record, { field, op, value }) => {
+  const actual = record[field];
+  switch (op) {
+    case "in":
+      return value.some((option) => String(option) === String(actual));
+    case "range": {
+      const [min, max] = value;
+      const number = Number(actual);
+      if (isEmpty(actual) || Number.isNaN(number)) return false;
+      return (isEmpty(min) || number >= Number(min)) && (isEmpty(max) || number <= Number(max));
+    }
+    case "contains":
+      return String(actual ?? "").toLowerCase().includes(String(value).toLowerCase());
+    default:
+      return true;
+  }
+};
+
+// Numbers numerically, everything else as text; empty values last
+const compareValues = (a, b) => {
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) - isEmpty(b);
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+/**
+ * @param {Object} [searchFields] - the collection's SEARCH_FIELDS entry, used
+ *   to interpret `search`
+ * @returns {{ records: Object[], total: number }} the requested page and the
+ *   number of records matching the filters
+ */
+export const applyQuery = (records, query = {}, searchFields) => {
+  const { pageIndex = 0, pageSize, sorting = [], filters = [], search = "" } = query;
+  const found = search ? createSearchIndex(records, searchFields)(search).records : records;
+
+  let matched = found.filter((record) => filters.every((filter) => matchesFilter(record, filter)));
+
+  if (sorting.length > 0) {
+    matched = [...matched].sort((a, b) => {
+      for (const { id, desc } of sorting) {
+        const order = compareValues(a[id], b[id]);
+        if (order !== 0) return desc ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  const page = pageSize ? matched.slice(pageIndex * pageSize, (pageIndex + 1) * pageSize) : matched;
+  return { records: page, total: matched.length };
+};
+
+// Sorting as text: [{ id: "name" }, { id: "price", desc: true }] <-> "name,-price"
+export const formatSorting = (sorting = []) =>
+  sorting.map(({ id, desc }) => `${desc ? "-" : ""}${id}`).join(",");
+
+export const parseSorting = (text) =>
+  (text || "")
+    .split(",")
+    .filter(Boolean)
+    .map((key) => (key.startsWith("-") ? { id: key.slice(1), desc: true } : { id: key, desc: false }));
+
+export const toSearchParams = (query = {}) => {
+  const params = new URLSearchParams();
+  if (query.pageSize) {
+    params.set("page", String((query.pageIndex || 0) + 1));
+    params.set("pageSize", String(query.pageSize));
+  }
+  if (query.sorting?.length) {
+    params.set("sort", formatSorting(query.sorting));
+  }
+  (query.filters || []).forEach(({ field, op, value }) => {
+    if (op === "in") value.forEach((option) => params.append(field, String(option)));
+    if (op === "range") {
+      if (!isEmpty(value[0])) params.set(`${field}_gte`, String(value[0]));
+      if (!isEmpty(value[1])) params.set(`${field}_lte`, String(value[1]));
+    }
+    if (op === "contains") params.set(`${field}_like`, String(value));
+  });
+  if (query.search) params.set("q", query.search);
+  return params;
+};
+
+export const fromSearchParams = (params) => {
+  const query = { filters: [] };
+  const pageSize = Number(params.get("pageSize"));
+  if (pageSize > 0) {
+    query.pageSize = pageSize;
+    query.pageIndex = Math.max(0, (Number(params.get("page")) || 1) - 1);
+  }
+  if (params.get("sort")) query.sorting = parseSorting(params.get("sort"));
+  if (params.get("q")) query.search = params.get("q");
+
+  const ranges = {};
+  [...new Set(params.keys())]
+    .filter((key) => !RESERVED_PARAMS.includes(key))
+    .forEach((key) => {
+      const [, field, suffix] = key.match(/^(.*?)(?:_(gte|lte|like))?$/);
+      if (suffix === "like") {
+        query.filters.push({ field, op: "contains", value: params.get(key) });
+      } else if (suffix) {
+        ranges[field] = ranges[field] || [undefined, undefined];
+        ranges[field][suffix === "gte" ? 0 : 1] = params.get(key);
+      } else {
+        query.filters.push({ field, op: "in", value: params.getAll(key) });
+      }
+    });
+  Object.entries(ranges).forEach(([field, value]) =>
+    query.filters.push({ field, op: "range", value })
+  );
+  return query;
+};
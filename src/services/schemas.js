@@ -0,0 +1,142 @@
+// src/services/schemas.js
+// Field schemas for every entity. Records are checked when the catalog loads
+// (failures are quarantined and listed on the Data Issues page) and before
+// every create/update (failures are rejected with a ValidationError).
+// Besides type, required, min and pattern, a field can have a `check(value)`
+// returning a problem message (or nothing).
+import { isbnError } from "./isbn";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+
+export const SCHEMAS = {
+  books: {
+    id: { type: "integer", required: true },
+    author_id: { type: "integer", required: true },
+    name: { type: "string", required: true },
+    isbn: { type: "string", check: isbnError },
+    language: { type: "string" },
+    page_count: { type: "integer", required: true, min: 1 },
+    format: { type: "string" },
+  },
+  authors: {
+    id: { type: "integer", required: true },
+    first_name: { type: "string", required: true },
+    last_name: { type: "string" },
+    email: { type: "string", pattern: EMAIL_PATTERN, message: "is not a valid email" },
+    nationality: { type: "string" },
+  },
+  stores: {
+    id: { type: "integer", required: true },
+    name: { type: "string", required: true },
+    address_1: { type: "string", required: true },
+    address_2: { type: "string", nullable: true },
+    city: { type: "string", required: true },
+    state: { type: "string", required: true },
+    zip: { type: "string", required: true, pattern: ZIP_PATTERN, message: "is not a valid ZIP code" },
+  },
+  inventory: {
+    id: { type: "integer", required: true },
+    book_id: { type: "integer", required: true },
+    store_id: { type: "integer", required: true },
+    price: { type: "number", required: true, min: 0 },
+  },
+  users: {
+    id: { type: "integer", required: true },
+    username: { type: "string", required: true },
+    password: { type: "string", required: true },
+    name: { type: "string", required: true },
+    email: { type: "string", pattern: EMAIL_PATTERN, message: "is not a valid email" },
+  },
+};
+
+export class ValidationError extends Error {
+  constructor(collection, errors) {
+    super(
+      `Invalid ${collection} record: ${errors
+        .map((error) => `${error.field} ${error.message}`)
+        .join("; ")}`
+    );
+    this.name = "ValidationError";
+    this.collection = collection;
+    this.errors = errors;
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+const checkType = (type, value) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "string":
+      return typeof value === "string";
+    default:
+      return true;
+  }
+};
+
+/**
+ * Returns a list of `{ field, message }` problems; empty when the record is valid.
+ *
+ * @param {string} collection
+ * @param {Object} record
+ * @param {{ skip?: string[] }} [options] - fields not to check (e.g. `id` before create)
+ */
+export const validateRecord = (collection, record, { skip = [] } = {}) => {
+  const schema = SCHEMAS[collection];
+  if (!schema) return [];
+  if (record === null || typeof record !== "object" || Array.isArray(record)) {
+    return [{ field: "record", message: "is not an object" }];
+  }
+
+  const errors = [];
+  Object.entries(schema).forEach(([field, rule]) => {
+    if (skip.includes(field)) return;
+    const value = record[field];
+
+    if (isEmpty(value)) {
+      if (rule.required) errors.push({ field, message: "is required" });
+      return;
+    }
+    if (!checkType(rule.type, value)) {
+      errors.push({ field, message: `must be a${rule.type === "integer" ? "n" : ""} ${rule.type}` });
+      return;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push({ field, message: `must be at least ${rule.min}` });
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      errors.push({ field, message: rule.message || "has an invalid format" });
+    }
+    const problem = rule.check?.(value);
+    if (problem) errors.push({ field, message: problem });
+  });
+  return errors;
+};
+
+// validateRecord's problems as { field: "field message" }, e.g. for a form
+export const fieldErrors = (collection, record, options) =>
+  Object.fromEntries(
+    validateRecord(collection, record, options).map(({ field, message }) => [
+      field,
+      `${field} ${message}`,
+    ])
+  );
+
+// Split loaded records into valid ones and quarantined issues
+export const partitionRecords = (collection, records) =>
+  records.reduce(
+    (result, record) => {
+      const errors = validateRecord(collection, record);
+      if (errors.length === 0) {
+        result.valid.push(record);
+      } else {
+        result.issues.push({ collection, record, errors });
+      }
+      return result;
+    },
+    { valid: [], issues: [] }
+  );
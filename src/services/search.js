@@ -0,0 +1,287 @@
+// src/services/search.js
+// Query language of the search box, shared by the pages and the mock API (so
+// this file must stay free of browser-only and extensionless imports). A
+// search is a list of space-separated terms that must all match:
+//   shatliff               bare word, looked up in the collection's default fields
+//   "sea of stars"         quoted phrase
+//   author:shatliff        field contains the text (author:"le guin" for phrases)
+//   pages:>500 price:<=20  numeric comparison (>, >=, <, <=); pages:320 is exact
+//   -format:paperback      a leading "-" excludes what the term matches
+// Field names are case-insensitive; an unknown field is searched as plain text.
+// Words tolerate typos (words with digits don't) and match as prefixes, and
+// results are ranked by how well they match (see createSearchIndex).
+
+const text = (get, options = {}) => ({ type: "text", get, ...options });
+const number = (get, options = {}) => ({ type: "number", get, ...options });
+
+const BOOK_FIELDS = {
+  title: text((book) => book.name, { default: true, aliases: ["name"] }),
+  author: text((book) => book.author_name, { default: true }),
+  isbn: text((book) => book.isbn, { default: true }),
+  language: text((book) => book.language),
+  format: text((book) => book.format),
+  pages: number((book) => book.page_count),
+  id: number((book) => book.id),
+};
+
+// Searchable fields per collection; `get` reads the value from a record as
+// the pages show it (books carry `author_name`, inventory rows `price`)
+export const SEARCH_FIELDS = {
+  books: BOOK_FIELDS,
+  authors: {
+    name: text((author) => `${author.first_name} ${author.last_name ?? ""}`, { default: true }),
+    first: text((author) => author.first_name),
+    last: text((author) => author.last_name),
+    email: text((author) => author.email, { default: true }),
+    nationality: text((author) => author.nationality),
+    id: number((author) => author.id),
+  },
+  stores: {
+    name: text((store) => store.name, { default: true }),
+    address: text(
+      (store) =>
+        [store.address_1, store.address_2, store.city, store.state, store.zip].filter(Boolean).join(" "),
+      { default: true }
+    ),
+    city: text((store) => store.city),
+    state: text((store) => store.state),
+    zip: text((store) => store.zip),
+    id: number((store) => store.id),
+  },
+  inventory: {
+    ...BOOK_FIELDS,
+    price: number((book) => book.price),
+  },
+};
+
+const TOKEN_PATTERN = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const COMPARISON_PATTERN = /^(>=|<=|>|<)\s*(.*)$/;
+
+/**
+ * @returns {{ negate: boolean, field: ?string, op: string, value: string, phrase: boolean, raw: string }[]}
+ *   one term per token; `op` is ":" (contains / equals) or a comparison
+ */
+export const parseSearch = (query = "") => {
+  const terms = [];
+  for (const match of query.matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, field, quoted, word] = match;
+    // Half-typed terms ("-", "author:", "pages:>") don't constrain anything yet
+    if (!field && quoted === undefined && /^-?([a-z_]+:)?$/i.test(word)) continue;
+    const value = quoted ?? word ?? "";
+    const comparison = quoted === undefined && field && value.match(COMPARISON_PATTERN);
+    const term = {
+      negate: minus === "-",
+      field: field ? field.toLowerCase() : null,
+      op: comparison ? comparison[1] : ":",
+      value: comparison ? comparison[2] : value,
+      phrase: quoted !== undefined,
+      raw,
+    };
+    if (term.value !== "") terms.push(term);
+  }
+  return terms;
+};
+
+const findField = (fields, name) =>
+  Object.entries(fields || {}).find(
+    ([key, field]) => key === name || field.aliases?.includes(name)
+  )?.[1];
+
+// Field names in a search that the collection doesn't have, for hints
+export const unknownFields = (query, fields) =>
+  [
+    ...new Set(
+      parseSearch(query)
+        .filter((term) => term.field && !findField(fields, term.field))
+        .map((term) => term.field)
+    ),
+  ];
+
+const contains = (value, needle) =>
+  String(value ?? "").toLowerCase().includes(needle.toLowerCase());
+
+const compare = (actual, op, expected) => {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual === null || actual === undefined || actual === "" || Number.isNaN(a) || Number.isNaN(b)) {
+    return false;
+  }
+  switch (op) {
+    case ">":
+      return a > b;
+    case ">=":
+      return a >= b;
+    case "<":
+      return a < b;
+    case "<=":
+      return a <= b;
+    default:
+      return a === b;
+  }
+};
+
+// Lowercased words of a value
+export const tokenize = (value) => String(value ?? "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Typos tolerated in a query word: none for short words, then one, then two
+const typoBudget = (length) => (length < 3 ? 0 : length < 5 ? 1 : 2);
+
+// Edit distance counting swapped neighbours as one edit; gives up (returning
+// max + 1) once every alignment needs more than `max` edits
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Numbers (ZIP codes, ISBNs, ids) are looked up as typed: one digit off is a
+// different value, not a typo
+const hasDigit = (value) => /\p{N}/u.test(value);
+
+// Shortest query the substring fallback applies to
+const MIN_SUBSTRING_LENGTH = 3;
+
+// How a query word matches a record word: exact 3, prefix 2, close spelling 1
+const wordScore = (queryWord, word) => {
+  if (word === queryWord) return 3;
+  if (word.startsWith(queryWord)) return 2;
+  if (hasDigit(queryWord)) return 0;
+  const budget = typoBudget(queryWord.length);
+  if (budget > 0 && editDistance(queryWord, word, budget) <= budget) return 1;
+  return 0;
+};
+
+/**
+ * Scores text against a query text: every query word must match one of its
+ * words (exact, prefix or, without digits, close spelling), otherwise a plain
+ * substring match scores 1 for queries of at least MIN_SUBSTRING_LENGTH
+ * characters without digits. A phrase only matches as written. Matched fragments (the query
+ * word, or the record word it was mistaken for) are added to `fragments`.
+ *
+ * @returns {number} 0 when it doesn't match
+ */
+const scoreText = (text, words, query, fragments, phrase = false) => {
+  if (phrase) {
+    if (!contains(text, query)) return 0;
+    fragments.add(query.toLowerCase());
+    return 3 * Math.max(1, tokenize(query).length);
+  }
+  const queryWords = tokenize(query);
+  let total = 0;
+  const found = [];
+  for (const queryWord of queryWords) {
+    let best = 0;
+    let fragment = null;
+    for (const word of words) {
+      const score = wordScore(queryWord, word);
+      if (score > best) {
+        best = score;
+        fragment = score === 1 ? word : queryWord;
+      }
+      if (best === 3) break;
+    }
+    if (best === 0) {
+      total = 0;
+      break;
+    }
+    total += best;
+    found.push(fragment);
+  }
+  if (total > 0) {
+    found.forEach((fragment) => fragments.add(fragment));
+    return total;
+  }
+  if (query.length >= MIN_SUBSTRING_LENGTH && !hasDigit(query) && contains(text, query)) {
+    fragments.add(query.toLowerCase());
+    return 1;
+  }
+  return 0;
+};
+
+/**
+ * Builds a search over `records`: their words are read once, then each search
+ * returns the matching records best first (ties keep their order) and the
+ * text fragments that matched, for highlighting.
+ *
+ * Bare words and phrases are matched with typo tolerance against the default
+ * fields (any value when `fields` is not given), `field:text` against that
+ * field; numeric comparisons and exclusions are exact.
+ *
+ * @param {Object[]} records
+ * @param {Object} [fields] - a SEARCH_FIELDS entry
+ * @param {Function} [toSearchable] - maps a record to the shape `fields` reads
+ * @returns {(query: string) => { records: Object[], fragments: string[] }}
+ */
+export const createSearchIndex = (records, fields, toSearchable = (record) => record) => {
+  const defaults = fields ? Object.values(fields).filter((field) => field.default) : null;
+  const entries = records.map((record) => {
+    const searchable = toSearchable(record);
+    const texts = (defaults ? defaults.map((field) => field.get(searchable)) : Object.values(searchable))
+      .filter((value) => value !== null && value !== undefined)
+      .map(String);
+    return {
+      record,
+      searchable,
+      defaults: texts.map((text) => ({ text, words: tokenize(text) })),
+    };
+  });
+
+  // Score of one term for one record; 0 when it doesn't match
+  const scoreTerm = (entry, term, fragments) => {
+    const field = term.field && findField(fields, term.field);
+    if (field && (field.type === "number" || term.op !== ":")) {
+      return compare(field.get(entry.searchable), term.op, term.value) ? 1 : 0;
+    }
+    if (term.negate) {
+      const texts = field ? [String(field.get(entry.searchable) ?? "")] : entry.defaults.map(({ text }) => text);
+      return texts.some((text) => contains(text, term.value)) ? 1 : 0;
+    }
+    if (field) {
+      const text = String(field.get(entry.searchable) ?? "");
+      return scoreText(text, tokenize(text), term.value, fragments, term.phrase);
+    }
+    // Bare (or unknown-field) text: the best of the default fields
+    const value = term.field ? term.raw.replace(/^-/, "").replace(/"/g, "") : term.value;
+    return Math.max(
+      0,
+      ...entry.defaults.map(({ text, words }) => scoreText(text, words, value, fragments, term.phrase))
+    );
+  };
+
+  return (query) => {
+    const terms = parseSearch(query);
+    if (terms.length === 0) return { records, fragments: [] };
+
+    const fragments = new Set();
+    const ranked = [];
+    entries.forEach((entry, index) => {
+      const matched = new Set();
+      let score = 0;
+      for (const term of terms) {
+        const termScore = scoreTerm(entry, term, matched);
+        if (term.negate ? termScore > 0 : termScore === 0) return;
+        if (!term.negate) score += termScore;
+      }
+      matched.forEach((fragment) => fragments.add(fragment));
+      ranked.push({ record: entry.record, score, index });
+    });
+    ranked.sort((a, b) => b.score - a.score || a.index - b.index);
+    return { records: ranked.map(({ record }) => record), fragments: [...fragments] };
+  };
+};
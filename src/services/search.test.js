@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { SEARCH_FIELDS, createSearchIndex, parseSearch } from "./search";
+
+const BOOKS = [
+  { id: 1, name: "Sea of Stars", author_name: "Ursula Shatliff", isbn: "247489521-3", page_count: 320, format: "Paperback" },
+  { id: 2, name: "Stars Above", author_name: "Ann Lee", isbn: "530012345-6", page_count: 540, format: "Hardcover" },
+  { id: 3, name: "The Starship", author_name: "Tom Reyes", isbn: "978-113004455-1", page_count: 210, format: "Paperback" },
+  { id: 4, name: "Rivers", author_name: "Stella Marsh", isbn: "100200300-4", page_count: 95, format: "Hardcover" },
+];
+
+const STORES = [
+  { id: 1, name: "Canal Books", address_1: "1 Canal St", city: "New Orleans", state: "LA", zip: "70142" },
+  { id: 2, name: "Riverside", address_1: "55 River Rd", city: "Shreveport", state: "LA", zip: "71101" },
+  { id: 3, name: "Old Town", address_1: "9 Main St", city: "Austin", state: "TX", zip: "73147" },
+  { id: 4, name: "Bayou Reads", address_1: "12 Bayou Ave", city: "Baton Rouge", state: "LA", zip: "70149" },
+];
+
+const searchBooks = createSearchIndex(BOOKS, SEARCH_FIELDS.books);
+const searchStores = createSearchIndex(STORES, SEARCH_FIELDS.stores);
+const ids = ({ records }) => records.map((record) => record.id);
+
+describe("parseSearch", () => {
+  it("reads fields, comparisons, phrases and exclusions", () => {
+    expect(parseSearch('author:"le guin" pages:>=500 -format:paperback sea')).toEqual([
+      { negate: false, field: "author", op: ":", value: "le guin", phrase: true, raw: 'author:"le guin"' },
+      { negate: false, field: "pages", op: ">=", value: "500", phrase: false, raw: "pages:>=500" },
+      { negate: true, field: "format", op: ":", value: "paperback", phrase: false, raw: "-format:paperback" },
+      { negate: false, field: null, op: ":", value: "sea", phrase: false, raw: "sea" },
+    ]);
+  });
+
+  it("skips half-typed terms", () => {
+    expect(parseSearch("- author: pages:>")).toEqual([]);
+  });
+});
+
+describe("ranking", () => {
+  it("returns every record for an empty search", () => {
+    expect(ids(searchBooks(""))).toEqual([1, 2, 3, 4]);
+  });
+
+  it("ranks exact words above prefixes above typos", () => {
+    // "stars" is a word of 1 and 2 and starts "starship" in 3
+    expect(ids(searchBooks("stars"))).toEqual([1, 2, 3]);
+    // A swapped pair is one typo
+    expect(ids(searchBooks("marhs"))).toEqual([4]);
+    expect(ids(searchBooks("starss"))).toEqual([1, 2]);
+  });
+
+  it("tolerates typos in longer words and reports the matched word", () => {
+    const result = searchBooks("shatlyff");
+    expect(ids(result)).toEqual([1]);
+    expect(result.fragments).toEqual(["shatliff"]);
+  });
+
+  it("requires every term to match", () => {
+    expect(ids(searchBooks("stars sea"))).toEqual([1]);
+  });
+
+  it("matches phrases only as written", () => {
+    expect(ids(searchBooks('"sea of stars"'))).toEqual([1]);
+    expect(ids(searchBooks('"stars of sea"'))).toEqual([]);
+  });
+
+  it("applies field comparisons and exclusions", () => {
+    expect(ids(searchBooks("pages:>300"))).toEqual([1, 2]);
+    expect(ids(searchBooks("star -format:hardcover"))).toEqual([1, 3]);
+  });
+});
+
+describe("numeric tokens", () => {
+  it("matches ZIP codes exactly, not within typo distance", () => {
+    expect(ids(searchStores("zip:70142"))).toEqual([1]);
+    expect(ids(searchStores("70142"))).toEqual([1]);
+  });
+
+  it("matches numbers as word prefixes", () => {
+    expect(ids(searchStores("zip:701"))).toEqual([1, 4]);
+  });
+
+  it("does not match a digit inside a word", () => {
+    // "5" starts only the street number 55; the 5s inside ZIP codes don't count
+    expect(ids(searchStores("5"))).toEqual([2]);
+  });
+
+  it("matches ISBN parts as prefixes only", () => {
+    expect(ids(searchBooks("247489521"))).toEqual([1]);
+    expect(ids(searchBooks("489521"))).toEqual([]);
+  });
+
+  it("still tolerates typos in words without digits", () => {
+    expect(ids(searchStores("shreevport"))).toEqual([2]);
+  });
+});
+
+describe("substring fallback", () => {
+  it("matches inside words for queries of three or more letters", () => {
+    expect(ids(searchStores("anal"))).toEqual([1]);
+  });
+
+  it("is skipped for short queries", () => {
+    expect(ids(searchStores("an"))).toEqual([]);
+  });
+});
@@ -0,0 +1,207 @@
+// src/services/storage.js
+// Record-level persistence for the catalog collections. IndexedDB is used when
+// the browser offers it; otherwise (private mode, blocked storage) each
+// collection is kept as a JSON array in localStorage.
+
+export const COLLECTIONS = ["books", "authors", "stores", "inventory", "users"];
+
+const DB_NAME = "ovarc-library";
+const DB_VERSION = 2;
+const META_STORE = "meta";
+const LOCAL_PREFIX = "ovarc-library:";
+
+// Collections are seeded independently so that stores added in a later
+// DB_VERSION get their seed data without wiping existing edits
+const seededKey = (collection) => `seeded:${collection}`;
+
+// Version 1 kept one "seeded" flag for the collections it had; it carries over
+// to each of them so existing data is not re-seeded over
+const LEGACY_SEEDED_KEY = "seeded";
+const LEGACY_COLLECTIONS = ["books", "authors", "stores", "inventory"];
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+// Runs inside the upgrade transaction, so the new keys land before the
+// database opens
+const migrateSeededFlag = (meta) => {
+  const legacy = meta.get(LEGACY_SEEDED_KEY);
+  legacy.onsuccess = () => {
+    if (!legacy.result) return;
+    LEGACY_COLLECTIONS.forEach((name) => meta.put(true, seededKey(name)));
+    meta.delete(LEGACY_SEEDED_KEY);
+  };
+};
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      COLLECTIONS.forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) {
+          db.createObjectStore(name, { keyPath: "id" });
+        }
+      });
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      } else if (event.oldVersion < 2) {
+        migrateSeededFlag(request.transaction.objectStore(META_STORE));
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("IndexedDB upgrade blocked"));
+  });
+
+const createIndexedDbStorage = (db) => ({
+  kind: "indexeddb",
+
+  getAll: (collection) =>
+    requestToPromise(
+      db.transaction(collection, "readonly").objectStore(collection).getAll()
+    ),
+
+  putAll: async (collection, records) => {
+    const transaction = db.transaction(collection, "readwrite");
+    const store = transaction.objectStore(collection);
+    store.clear();
+    records.forEach((record) => store.put(record));
+    await transactionDone(transaction);
+  },
+
+  put: async (collection, record) => {
+    const transaction = db.transaction(collection, "readwrite");
+    transaction.objectStore(collection).put(record);
+    await transactionDone(transaction);
+  },
+
+  putMany: async (collection, records) => {
+    const transaction = db.transaction(collection, "readwrite");
+    const store = transaction.objectStore(collection);
+    records.forEach((record) => store.put(record));
+    await transactionDone(transaction);
+  },
+
+  remove: async (collection, id) => {
+    const transaction = db.transaction(collection, "readwrite");
+    transaction.objectStore(collection).delete(id);
+    await transactionDone(transaction);
+  },
+
+  isSeeded: async (collection) => {
+    const value = await requestToPromise(
+      db.transaction(META_STORE, "readonly").objectStore(META_STORE).get(seededKey(collection))
+    );
+    return Boolean(value);
+  },
+
+  markSeeded: async (collection) => {
+    const transaction = db.transaction(META_STORE, "readwrite");
+    transaction.objectStore(META_STORE).put(true, seededKey(collection));
+    await transactionDone(transaction);
+  },
+
+  clear: async () => {
+    const names = [...COLLECTIONS, META_STORE];
+    const transaction = db.transaction(names, "readwrite");
+    names.forEach((name) => transaction.objectStore(name).clear());
+    await transactionDone(transaction);
+  },
+});
+
+const migrateLocalSeededFlag = () => {
+  if (localStorage.getItem(LOCAL_PREFIX + LEGACY_SEEDED_KEY) !== "true") return;
+  LEGACY_COLLECTIONS.forEach((name) =>
+    localStorage.setItem(LOCAL_PREFIX + seededKey(name), "true")
+  );
+  localStorage.removeItem(LOCAL_PREFIX + LEGACY_SEEDED_KEY);
+};
+
+const createLocalStorage = () => {
+  migrateLocalSeededFlag();
+
+  const read = (collection) => {
+    try {
+      return JSON.parse(localStorage.getItem(LOCAL_PREFIX + collection)) || [];
+    } catch {
+      return [];
+    }
+  };
+  const write = (collection, records) =>
+    localStorage.setItem(LOCAL_PREFIX + collection, JSON.stringify(records));
+
+  return {
+    kind: "localstorage",
+
+    getAll: async (collection) => read(collection),
+
+    putAll: async (collection, records) => write(collection, records),
+
+    put: async (collection, record) => {
+      const records = read(collection);
+      const index = records.findIndex((item) => item.id === record.id);
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+      write(collection, records);
+    },
+
+    putMany: async (collection, records) => {
+      const ids = new Set(records.map((record) => record.id));
+      write(collection, [
+        ...read(collection).filter((item) => !ids.has(item.id)),
+        ...records,
+      ]);
+    },
+
+    remove: async (collection, id) =>
+      write(
+        collection,
+        read(collection).filter((item) => item.id !== id)
+      ),
+
+    isSeeded: async (collection) =>
+      localStorage.getItem(LOCAL_PREFIX + seededKey(collection)) === "true",
+
+    markSeeded: async (collection) =>
+      localStorage.setItem(LOCAL_PREFIX + seededKey(collection), "true"),
+
+    clear: async () => {
+      COLLECTIONS.forEach((name) => {
+        localStorage.removeItem(LOCAL_PREFIX + name);
+        localStorage.removeItem(LOCAL_PREFIX + seededKey(name));
+      });
+    },
+  };
+};
+
+let storagePromise = null;
+
+// Resolve the storage backend once and share it for the lifetime of the app
+export const getStorage = () => {
+  if (!storagePromise) {
+    storagePromise =
+      typeof indexedDB === "undefined"
+        ? Promise.resolve(createLocalStorage())
+        : openDatabase()
+            .then(createIndexedDbStorage)
+            .catch((error) => {
+              console.warn("IndexedDB unavailable, using localStorage:", error);
+              return createLocalStorage();
+            });
+  }
+  return storagePromise;
+};
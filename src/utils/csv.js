@@ -0,0 +1,70 @@
+// src/utils/csv.js
+// Minimal RFC 4180 CSV reading and writing: quoted fields, escaped quotes
+// ("") and line breaks inside quotes are supported.
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Parse CSV with a header row into objects keyed by header
+export const parseCsvObjects = (text) => {
+  const [headers = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ""));
+  const keys = headers.map((header) => header.trim());
+  return {
+    headers: keys,
+    records: rows.map((cells) =>
+      keys.reduce((record, key, index) => {
+        record[key] = cells[index] ?? "";
+        return record;
+      }, {})
+    ),
+  };
+};
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialise rows (arrays of cell values) as CSV with CRLF line endings
+export const toCsv = (rows) =>
+  rows.map((cells) => cells.map(escapeCell).join(",")).join("\r\n");
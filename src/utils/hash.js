@@ -0,0 +1,10 @@
+// src/utils/hash.js
+// Small stable string hash (djb2), for picking colors or images that stay
+// the same across renders
+export const hashString = (text) => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
@@ -1,9 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { mockApiPlugin } from './mock-server/mockApi'
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [tailwindcss(), react()],
+  plugins: [
+    tailwindcss(),
+    react(),
+    // Local REST API used when VITE_DATA_SOURCE=rest
+    mockApiPlugin({
+      dataDir: 'public/data',
+      errorRate: Number(process.env.MOCK_API_ERROR_RATE) || 0,
+      latency: Number(process.env.MOCK_API_LATENCY) || 0,
+    }),
+  ],
   resolve: {
     extensions: ['.js', '.jsx', '.json']  
   },